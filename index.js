@@ -1,276 +1,124 @@
 require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
-const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
-
-// Inline parser function (previously in lib/parseAktivasi.js)
-function parseAktivasi(text, userRow, username) {
-  const lines = text.split('\n').map(l=>l.trim()).filter(l=>l);
-  const upper = text.toUpperCase();
-  let ao='', workorder='', serviceNo='', customerName='', owner='', workzone='', snOnt='', nikOnt='', stbId='', nikStb='', teknisi='';
-  teknisi = (userRow && userRow[1]) ? (userRow[1] || username).replace('@', '') : (username || '');
-
-  function findValue(patterns) {
-    for (const pattern of patterns) {
-      const matches = text.match(pattern);
-      if (matches) {
-        if (pattern.global) {
-          return matches[matches.length - 1];
-        } else if (matches[1]) {
-          return matches[1].trim();
-        }
-      }
-    }
-    return '';
-  }
-
-  function detectOwner(text) {
-    const upperText = text.toUpperCase();
-    // Owner parsing based only on CHANNEL tokens per spec:
-    // CHANNEL : BS -> owner 'BS'
-    // CHANNEL : DIGIPOS or CHANNEL : PDA -> owner 'TSEL'
-    if (upperText.includes('CHANNEL : BS') || upperText.includes('CHANNEL: BS')) {
-      return 'BS';
-    }
-    if (upperText.includes('CHANNEL : DIGIPOS') || upperText.includes('CHANNEL: DIGIPOS') || upperText.includes('CHANNEL : PDA') || upperText.includes('CHANNEL: PDA')) {
-      return 'TSEL';
-    }
-    // Keep WMS detection
-    if (upperText.includes('WMS') || upperText.includes('MWS')) {
-      return 'WMS';
-    }
-    // Fallback: check for BGES in text
-    if (upperText.includes('BGES')) {
-      return 'BGES';
-    }
-    return '';
-  }
-
-  owner = detectOwner(text);
-  
-  if (owner === 'TSEL') {
-    ao = findValue([
-      /AO\s*:\s*([A-Za-z0-9]+)/i,
-      /AO\s*([A-Za-z0-9]+)/i
-    ]);
-    workorder = findValue([
-      /WORKORDER\s*:\s*([A-Za-z0-9]+)/i
-    ]) || ao;
-    serviceNo = findValue([
-      /SERVICE\s*NO\s*:\s*(\d+)/i
-    ]);
-    // Capture customer name up to the end of the line to avoid grabbing next labels like WORKZONE
-    customerName = findValue([
-      /CUSTOMER\s*NAME\s*:\s*([^\r\n]+)/i
-    ]);
-    workzone = findValue([
-      /WORKZONE\s*:\s*([A-Z0-9]+)/i
-    ]);
-    snOnt = findValue([
-      /SN\s*ONT\s*:\s*([A-Z0-9]+)/i,
-      /(ZTEGDA[A-Z0-9]+)/i,
-      /(HWTC[A-Z0-9]+)/i,
-      /(HUAW[A-Z0-9]+)/i,
-      /(FHTT[A-Z0-9]+)/i,
-      /(FIBR[A-Z0-9]+)/i
-    ]);
-    nikOnt = findValue([/NIK\s*ONT\s*:\s*(\d+)/i]);
-    const stbPattern = /STB\s*ID\s*:\s*([A-Z0-9]+)/i;
-    const stbMatch = text.match(stbPattern);
-    if (stbMatch && stbMatch[1]) {
-      stbId = stbMatch[1];
-      nikStb = findValue([/NIK\s*STB\s*:\s*(\d+)/i]);
-    }
-  } else if (owner === 'BGES' || owner === 'WMS') {
-    // BGES/WMS: support many variants from BS/INDIBIZ exports
-    // SC ORDER NO -> AO/WORKORDER (prefix with SC if needed)
-    const scOrderMatch = text.match(/SC\s*ORDER\s*NO\s*:\s*([0-9A-Za-z\-]+)/i);
-    if (scOrderMatch && scOrderMatch[1]) {
-      const val = scOrderMatch[1].trim();
-      ao = /^SC/i.test(val) ? val : `SC${val}`;
-      workorder = ao;
-    } else {
-      // fallback: try to find SCNNNNNN in AO| lines
-      const aoMatches = text.match(/AO\|.*?(SC\d{6,})/g);
-      if (aoMatches && aoMatches.length > 0) {
-        const lastMatch = aoMatches[aoMatches.length - 1];
-        const scMatch = lastMatch.match(/SC(\d{6,})/);
-        if (scMatch) {
-          ao = `SC${scMatch[1]}`;
-          workorder = ao;
-        }
-      }
-    }
-
-    // SERVICE NO: explicit or fallback to long numeric token (11-12 digits)
-    const serviceMatch = text.match(/SERVICE\s*NO\s*:\s*([0-9A-Za-z\-]+)/i);
-    if (serviceMatch && serviceMatch[1]) {
-      serviceNo = serviceMatch[1].trim();
-    } else {
-      const serviceNoMatches = text.match(/\b\d{11,12}\b/g);
-      if (serviceNoMatches && serviceNoMatches.length > 0) {
-        serviceNo = serviceNoMatches[serviceNoMatches.length - 1];
-      }
-    }
-
-    // NCLI
-    const ncliMatch = text.match(/NCLI\s*:\s*([0-9A-Za-z\-]+)/i);
-    const ncli = ncliMatch && ncliMatch[1] ? ncliMatch[1].trim() : '';
-
-    // CUSTOMER NAME (prefer explicit field)
-    const custMatch = text.match(/CUSTOMER\s*NAME\s*:\s*(.+)/i);
-    if (custMatch && custMatch[1]) {
-      customerName = custMatch[1].trim();
-    } else {
-      // sometimes embedded in timestamped logs
-      const customerMatches = text.match(/\d{2}\/\d{2}\/\d{4}\s+\d{2}:\d{2}\s+\d+\s+([A-Z0-9\s]+?)\s{2,}/g);
-      if (customerMatches && customerMatches.length > 0) {
-        const nameMatch = customerMatches[0].match(/\d{2}\/\d{2}\/\d{4}\s+\d{2}:\d{2}\s+\d+\s+([A-Z0-9\s]+?)\s{2,}/);
-        if (nameMatch && nameMatch[1]) {
-          customerName = nameMatch[1].trim();
-        }
-      }
-    }
-
-    // WORKZONE and ODP
-    const wzMatch = text.match(/WORKZONE\s*:\s*([A-Z0-9\-\/]+)/i);
-    if (wzMatch && wzMatch[1]) {
-      workzone = wzMatch[1].trim();
-    } else {
-      const workzoneMatches = text.match(/AO\|\s+([A-Z]{2,})/g);
-      if (workzoneMatches && workzoneMatches.length > 0) {
-        const lastWorkzoneMatch = workzoneMatches[workzoneMatches.length - 1];
-        const wz2 = lastWorkzoneMatch.match(/AO\|\s+([A-Z]{2,})/);
-        if (wz2 && wz2[1]) {
-          workzone = wz2[1];
-        }
-      }
-    }
-    const odpMatch = text.match(/ODP\s*:\s*([A-Z0-9\-\/]+)/i);
-    if (odpMatch && odpMatch[1] && !workzone) {
-      workzone = odpMatch[1].trim();
-    }
-
-    // ADDRESS, CONTACT PHONE, PAKET, MITRA (partner)
-    const addressMatch = text.match(/ADDRESS\s*:\s*(.+)/i);
-    const contactMatch = text.match(/CONTACT\s*PHONE\s*:\s*([0-9\+\-\s]+)/i);
-    const paketMatch = text.match(/PAKET\s*:\s*(.+)/i);
-    const mitraMatch = text.match(/MITRA\s*:\s*(.+)/i);
-    const mitra = mitraMatch && mitraMatch[1] ? mitraMatch[1].trim() : '';
-
-    // For BGES messages we want OWNER to be 'BS' (the channel),
-    // keep MITRA in a separate variable but do not overwrite OWNER.
-    if (owner === 'BGES') {
-      owner = 'BS';
-    }
-
-    // SN / NIK / STB
-    snOnt = findValue([
-      /SN\s*ONT[:\s]+([A-Z0-9]+)/i,
-      /(ZTEG[A-Z0-9]+)/i,
-      /(HWTC[A-Z0-9]+)/i,
-      /(HUAW[A-Z0-9]+)/i,
-      /(FHTT[A-Z0-9]+)/i,
-      /(FHTTC[A-Z0-9]+)/i,
-      /(FIBR[A-Z0-9]+)/i
-    ]);
-    // also try a generic SN pattern near 'SN ONT'
-    if (!snOnt) {
-      const snNear = text.match(/SN\s*ONT\s*[:\s]*([A-Z0-9\-]+)/i);
-      if (snNear && snNear[1]) snOnt = snNear[1].trim();
-    }
-
-    nikOnt = findValue([/NIK\s*ONT[:\s]+(\d+)/i]);
-    stbId = findValue([/STB\s*ID[:\s]+([A-Z0-9]+)/i]);
-    nikStb = findValue([/NIK\s*STB[:\s]+(\d+)/i]);
-
-    // If customer name still empty, fallback to first non-empty ADDRESS segment or MITRA
-    if (!customerName) {
-      if (addressMatch && addressMatch[1]) {
-        // Address might contain pipes - take first segment as fallback name attempt
-        const firstSeg = addressMatch[1].split('|')[0].trim();
-        if (firstSeg && firstSeg.match(/[A-Z]/i)) customerName = firstSeg;
-      }
-      if (!customerName && mitra) customerName = mitra;
-    }
-  } else {
-    function getValue(label) {
-      const line = lines.find(l => l.toUpperCase().startsWith(label.toUpperCase() + ' :'));
-      return line ? line.split(':').slice(1).join(':').trim() : '';
-    }
-    ao = getValue('AO') || findValue([/AO[:\s]+([A-Z0-9]+)/i]);
-    workorder = getValue('WORKORDER') || findValue([/WORKORDER[:\s]+([A-Z0-9-]+)/i]);
-    serviceNo = getValue('SERVICE NO') || findValue([/SERVICE\s*NO[:\s]+(\d+)/i]);
-    customerName = getValue('CUSTOMER NAME') || findValue([/CUSTOMER\s*NAME[:\s]+(.+)/i]);
-    owner = getValue('OWNER') || findValue([/OWNER[:\s]+([A-Z0-9]+)/i]);
-    workzone = getValue('WORKZONE') || findValue([/WORKZONE[:\s]+([A-Z0-9]+)/i]);
-    snOnt = getValue('SN ONT') || findValue([
-      /SN\s*ONT[:\s]+([A-Z0-9]+)/i,
-      /(ZTEG[A-Z0-9]+)/i,
-      /(HWTC[A-Z0-9]+)/i,
-      /(HUAW[A-Z0-9]+)/i,
-      /(FHTT[A-Z0-9]+)/i,
-      /(FIBR[A-Z0-9]+)/i
-    ]);
-    nikOnt = getValue('NIK ONT') || findValue([/NIK\s*ONT[:\s]+(\d+)/i]);
-    stbId = getValue('STB ID') || findValue([/STB\s*ID[:\s]+([A-Z0-9]+)/i]);
-    nikStb = getValue('NIK STB') || findValue([/NIK\s*STB[:\s]+(\d+)/i]);
-  }
-
-  return { ao, workorder, serviceNo, customerName, owner, workzone, snOnt, nikOnt, stbId, nikStb, teknisi };
-}
+const { createStorage } = require('./lib/storage');
+const { createDraftStore } = require('./lib/draftStore');
+const { parseAktivasiDetailed } = require('./lib/parseAktivasi');
+const { loadValidationRules, validateAktivasi, formatValidationErrors, describeValidationRules } = require('./lib/validateAktivasi');
+const { createReportScheduler, getZonedParts } = require('./lib/scheduler');
+const { buildActivationWorkbook } = require('./lib/xlsxExport');
+const { KEEP_STRATEGIES, planDeduplication } = require('./lib/dedupe');
+const { createCommandRegistry, checkChat, checkRole, checkArgs, formatHelpEntry, toBotCommands } = require('./lib/commandRouter');
+const { splitAktivasiRecords, generateCSV, readImportRows, isImportHeaderValid } = require('./lib/bulkAktivasi');
+const { formatEvidenceSection, findEvidenceAO, createEvidenceAlbums } = require('./lib/evidence');
+const { escapeHtml } = require('./lib/html');
+const { formatSheetTimestamp, parseSheetDate, toISODate, formatSheetDateLabel } = require('./lib/dates');
+const {
+  REPORT_PERIODS, resolveTimeZone, getTimeZoneLabel, getZonedToday, parseDateInput, getPeriodRange,
+  shiftPeriodReference, getPreviousPeriodRange, formatRangeLabel, formatDateKey, REPORT_OPTIONS, parseReportArgs,
+} = require('./lib/periods');
+const { countRows, formatComparisonSection, sparkline, formatTrendTable } = require('./lib/trends');
+const { renderBarChart, renderPieChart, renderLineChart } = require('./lib/charts');
+const { TARGET_TYPES, parseMonthKey, formatMonthKey, computeTargetProgress, formatTargetProgress, elapsedDaysInMonth } = require('./lib/targets');
+const crypto = require('crypto');
 
 // === Konfigurasi dari environment variables ===
 const TOKEN = process.env.TELEGRAM_TOKEN;
-const SHEET_ID = process.env.SHEET_ID;
-const GOOGLE_SERVICE_ACCOUNT_KEY = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
 
 // Validasi environment variables
 if (!TOKEN) {
   console.error('ERROR: TELEGRAM_TOKEN environment variable is not set!');
   process.exit(1);
 }
-if (!SHEET_ID) {
-  console.error('ERROR: SHEET_ID environment variable is not set!');
-  process.exit(1);
-}
-if (!GOOGLE_SERVICE_ACCOUNT_KEY) {
-  console.error('ERROR: GOOGLE_SERVICE_ACCOUNT_KEY environment variable is not set!');
+
+// Timezone laporan dan kolom TANGGAL (IANA, default Asia/Jakarta)
+let REPORT_TIMEZONE;
+try {
+  REPORT_TIMEZONE = resolveTimeZone(process.env.REPORT_TIMEZONE);
+} catch (e) {
+  console.error('ERROR:', e.message);
   process.exit(1);
 }
+const REPORT_TIMEZONE_LABEL = getTimeZoneLabel(REPORT_TIMEZONE);
 
 const REKAPAN_SHEET = 'REKAPAN QUALITY';
 const USER_SHEET = 'USER';
+const REKAPAN_HEADERS = ['TANGGAL', 'AO', 'WORKORDER', 'SERVICE NO', 'CUSTOMER NAME', 'OWNER', 'WORKZONE', 'SN ONT', 'NIK ONT', 'STB ID', 'NIK STB', 'TEKNISI'];
+const USER_HEADERS = ['NO', 'USERNAME', 'ROLE', 'STATUS', 'TELEGRAM_ID'];
+const USER_ROLES = ['ADMIN', 'USER'];
+// Chat admin yang menerima notifikasi pendaftaran /daftar
+const ADMIN_CHAT_IDS = (process.env.ADMIN_CHAT_IDS || '').split(',').map(id => id.trim()).filter(id => id);
+const GRUP_SHEET = 'GRUP';
+const GRUP_HEADERS = ['CHAT_ID', 'NAMA', 'COMMANDS', 'WORKZONE', 'DIUBAH_OLEH'];
+const TARGET_SHEET = 'TARGET';
+const TARGET_HEADERS = ['PERIODE', 'JENIS', 'NAMA', 'TARGET', 'DIUBAH_OLEH'];
+const KNOWN_OWNERS = ['TSEL', 'BS', 'WMS', 'BGES'];
+const JADWAL_SHEET = 'JADWAL';
+const JADWAL_HEADERS = ['ID', 'LAPORAN', 'WAKTU', 'CHAT_ID', 'DIBUAT_OLEH', 'DIBUAT_PADA'];
+// Baris yang dihapus /clear disalin ke sini (BARIS_ASAL = nomor baris di REKAPAN saat dihapus)
+const CLEAR_BACKUP_SHEET = 'BACKUP CLEAR';
+const CLEAR_BACKUP_HEADERS = ['BATCH_ID', 'DIHAPUS_PADA', 'DIHAPUS_OLEH', 'BARIS_ASAL', ...REKAPAN_HEADERS];
+// Jejak setiap penulisan data dan aksi admin (SEBELUM/SESUDAH berupa JSON)
+const AUDIT_SHEET = 'AUDIT';
+const AUDIT_HEADERS = ['WAKTU', 'TELEGRAM_ID', 'USERNAME', 'COMMAND', 'AO', 'SEBELUM', 'SESUDAH'];
+// Foto bukti aktivasi (file_id Telegram, file tidak diunduh)
+const FOTO_SHEET = 'FOTO';
+const FOTO_HEADERS = ['AO', 'FILE_ID', 'FILE_UNIQUE_ID', 'UKURAN', 'KETERANGAN', 'DIKIRIM_OLEH', 'TELEGRAM_ID', 'DIKIRIM_PADA'];
+
+// Field aktivasi: nama field, key hasil parseAktivasi dan index kolom REKAPAN
+const AKTIVASI_FIELDS = [
+  { name: 'AO', key: 'ao', col: 1 },
+  { name: 'WORKORDER', key: 'workorder', col: 2 },
+  { name: 'SERVICE_NO', key: 'serviceNo', col: 3 },
+  { name: 'CUSTOMER_NAME', key: 'customerName', col: 4 },
+  { name: 'OWNER', key: 'owner', col: 5 },
+  { name: 'WORKZONE', key: 'workzone', col: 6 },
+  { name: 'SN_ONT', key: 'snOnt', col: 7 },
+  { name: 'NIK_ONT', key: 'nikOnt', col: 8 },
+  { name: 'STB_ID', key: 'stbId', col: 9 },
+  { name: 'NIK_STB', key: 'nikStb', col: 10 },
+];
+
+// Field REKAPAN yang boleh diubah lewat /edit (nama field -> index kolom)
+const EDITABLE_FIELDS = Object.fromEntries(
+  AKTIVASI_FIELDS.filter(f => f.name !== 'AO').map(f => [f.name, f.col])
+);
 
-// === Setup Google Sheets API ===
-let serviceAccount;
+// Aturan validasi /aktivasi per owner (default + VALIDATION_RULES_PATH/KNOWN_WORKZONES)
+let validationRules;
 try {
-  // Handle both direct JSON and base64 encoded
-  let keyData = GOOGLE_SERVICE_ACCOUNT_KEY;
-  
-  // Check if it's base64 encoded
-  if (!keyData.startsWith('{')) {
-    try {
-      keyData = Buffer.from(keyData, 'base64').toString('utf-8');
-    } catch (e) {
-      console.log('Not base64 encoded, using as is');
-    }
-  }
-  
-  serviceAccount = JSON.parse(keyData);
-  console.log('Google Service Account parsed successfully');
+  validationRules = loadValidationRules(process.env);
 } catch (e) {
-  console.error('ERROR parsing GOOGLE_SERVICE_ACCOUNT_KEY:', e.message);
-  console.error('First 100 chars of key:', GOOGLE_SERVICE_ACCOUNT_KEY.substring(0, 100));
+  console.error('ERROR loading validation rules:', e.message);
   process.exit(1);
 }
 
-const auth = new google.auth.GoogleAuth({
-  credentials: serviceAccount,
-  scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-});
-const sheets = google.sheets({ version: 'v4', auth });
+// Draft /aktivasi menunggu konfirmasi Simpan/Batal
+const DRAFT_TTL_MINUTES = parseInt(process.env.DRAFT_TTL_MINUTES) || 10;
+const aktivasiDrafts = createDraftStore({ ttlMs: DRAFT_TTL_MINUTES * 60 * 1000 });
+setInterval(() => aktivasiDrafts.sweep(), 60 * 1000).unref();
+
+// === Setup storage (Google Sheets atau file JSON lokal) ===
+let storage;
+try {
+  storage = createStorage(process.env, {
+    seed: {
+      [REKAPAN_SHEET]: [REKAPAN_HEADERS],
+      [USER_SHEET]: [USER_HEADERS],
+      [JADWAL_SHEET]: [JADWAL_HEADERS],
+      [GRUP_SHEET]: [GRUP_HEADERS],
+      [TARGET_SHEET]: [TARGET_HEADERS],
+      [CLEAR_BACKUP_SHEET]: [CLEAR_BACKUP_HEADERS],
+      [AUDIT_SHEET]: [AUDIT_HEADERS],
+      [FOTO_SHEET]: [FOTO_HEADERS],
+    },
+  });
+  console.log(`Storage backend: ${storage.name} (cache ${storage.ttlMs / 1000}s)`);
+} catch (e) {
+  console.error('ERROR setting up storage:', e.message);
+  process.exit(1);
+}
 
 // === Setup Telegram Bot dengan webhook untuk Railway ===
 let bot;
@@ -311,50 +159,106 @@ if (USE_WEBHOOK && RAILWAY_STATIC_URL) {
   console.log('Bot running in polling mode');
 }
 
+// Username bot untuk mengenali format /command@BotName di grup
+let botUsername = '';
+bot.getMe().then(me => {
+  botUsername = me.username || '';
+}).catch(err => {
+  console.error('Failed to get bot info:', err.message);
+});
+
 // === Helper: Ambil data dari sheet dengan error handling ===
 async function getSheetData(sheetName) {
   try {
-    const res = await sheets.spreadsheets.values.get({
-      spreadsheetId: SHEET_ID,
-      range: sheetName,
-    });
-    return res.data.values || [];
+    return await storage.getValues(sheetName);
   } catch (error) {
     console.error(`Error getting sheet data from ${sheetName}:`, error.message);
     throw error;
   }
 }
 
+// === Helper: Ambil data terbaru langsung dari storage (lewati cache) ===
+// Dipakai sebelum menulis ke nomor baris tertentu, agar index tidak berasal dari snapshot lama
+async function getFreshSheetData(sheetName) {
+  storage.invalidate(sheetName);
+  return getSheetData(sheetName);
+}
+
 // === Helper: Tambah data ke sheet dengan error handling ===
 async function appendSheetData(sheetName, values) {
   try {
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: SHEET_ID,
-      range: sheetName,
-      valueInputOption: 'USER_ENTERED',
-      resource: { values: [values] },
-    });
+    await storage.appendRow(sheetName, values);
   } catch (error) {
     console.error(`Error appending data to ${sheetName}:`, error.message);
     throw error;
   }
 }
 
+// === Helper: Tambah banyak baris sekaligus ===
+async function appendSheetRows(sheetName, rows) {
+  try {
+    await storage.appendRows(sheetName, rows);
+  } catch (error) {
+    console.error(`Error appending rows to ${sheetName}:`, error.message);
+    throw error;
+  }
+}
+
+// === Helper: Hapus baris (index 0-based), baris di bawahnya ikut naik ===
+async function deleteSheetRows(sheetName, rowIndexes) {
+  try {
+    await storage.deleteRows(sheetName, rowIndexes);
+  } catch (error) {
+    console.error(`Error deleting rows from ${sheetName}:`, error.message);
+    throw error;
+  }
+}
+
 // === Helper: Update range sheet data ===
 async function updateSheetData(sheetName, range, values) {
   try {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: SHEET_ID,
-      range: `${sheetName}!${range}`,
-      valueInputOption: 'USER_ENTERED',
-      resource: { values },
-    });
+    await storage.updateRange(sheetName, range, values);
   } catch (error) {
     console.error(`Error updating sheet data:`, error.message);
     throw error;
   }
 }
 
+// === Helper: Pastikan sheet tambahan ada (dibuat otomatis beserta header) ===
+async function ensureSheet(sheetName, headers) {
+  try {
+    if (await storage.ensureSheet(sheetName, headers)) {
+      console.log(`Sheet ${sheetName} created`);
+    }
+  } catch (error) {
+    console.error(`Error ensuring sheet ${sheetName}:`, error.message);
+  }
+}
+
+// === Helper: Catat audit (gagal menulis audit tidak membatalkan aksi utama) ===
+// actor = msg.from / query.from, aos = daftar AO yang terdampak
+async function writeAudit(actor, command, { aos = [], before = '', after = '' } = {}) {
+  const toCell = (value) => (value === '' || typeof value === 'string') ? value : JSON.stringify(value);
+  try {
+    await appendSheetData(AUDIT_SHEET, [
+      new Date().toISOString(),
+      String(actor.id || ''),
+      (actor.username || '').replace('@', ''),
+      command,
+      [...new Set(aos.filter(ao => ao))].join(','),
+      toCell(before),
+      toCell(after),
+    ]);
+  } catch (error) {
+    console.error(`Error writing audit for ${command}:`, error.message);
+  }
+}
+
+// === Helper: Baris sheet -> objek { HEADER: nilai } untuk kolom audit ===
+function rowToAuditObject(headers, row) {
+  return Object.fromEntries(headers.map((h, i) => [h, (row && row[i]) || '']));
+}
+
 // === Helper: Kirim pesan Telegram dengan retry logic dan reply ===
 async function sendTelegram(chatId, text, options = {}) {
   const maxLength = 4000;
@@ -416,717 +320,2537 @@ async function sendCSVFile(chatId, csvContent, filename, options = {}) {
   }
 }
 
+// === Helper: Kirim file Excel (XLSX) ===
+async function sendXLSXFile(chatId, buffer, filename, options = {}) {
+  try {
+    const filePath = path.join('/tmp', filename);
+    fs.writeFileSync(filePath, buffer);
+    
+    await bot.sendDocument(chatId, filePath, {
+      caption: `📊 File Excel berhasil digenerate!\nFilename: ${filename}`,
+      ...options
+    });
+    
+    // Cleanup file setelah dikirim
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    console.error('Error sending XLSX file:', error);
+    throw error;
+  }
+}
+
+// === Helper: Kirim grafik PNG sebagai foto, satu foto per grafik ===
+async function sendChartPhotos(chatId, charts, options = {}) {
+  for (const chart of charts) {
+    await bot.sendPhoto(chatId, chart.image, { caption: chart.caption, ...options }, {
+      filename: `${chart.name}.png`,
+      contentType: 'image/png',
+    });
+  }
+}
+
 // === Helper: Cek user aktif dengan error handling ===
-async function getUserData(username) {
+// Dicari lewat Telegram ID (kolom E) dulu, lalu username. ID diisi saat kontak pertama,
+// dan perubahan @username ikut memperbarui nama TEKNISI di sheet.
+async function getUserData(username, userId = null) {
   try {
     const data = await getSheetData(USER_SHEET);
-    for (let i = 1; i < data.length; i++) {
-      const userSheetUsername = (data[i][1] || '').replace('@', '').toLowerCase();
-      const inputUsername = (username || '').replace('@', '').toLowerCase();
-      const userStatus = (data[i][3] || '').toUpperCase();
-      if (userSheetUsername === inputUsername && userStatus === 'AKTIF') {
-        return data[i];
-      }
+    const inputUsername = (username || '').replace('@', '').toLowerCase();
+    const inputId = userId ? String(userId) : '';
+    
+    let rowIndex = -1;
+    if (inputId) {
+      rowIndex = data.findIndex((row, i) => i > 0 && (row[4] || '').trim() === inputId);
     }
-    return null;
+    if (rowIndex === -1 && inputUsername) {
+      // Username hanya cocok untuk baris yang belum terikat ke Telegram ID lain
+      rowIndex = data.findIndex((row, i) => i > 0 &&
+        (row[1] || '').replace('@', '').toLowerCase() === inputUsername &&
+        (!(row[4] || '').trim() || !inputId));
+    }
+    if (rowIndex === -1) return null;
+    
+    const row = data[rowIndex];
+    if ((row[3] || '').toUpperCase() !== 'AKTIF') return null;
+    
+    if (inputId && !(row[4] || '').trim()) {
+      await updateSheetData(USER_SHEET, `E${rowIndex + 1}`, [[inputId]]);
+      row[4] = inputId;
+    }
+    const storedUsername = (row[1] || '').replace('@', '');
+    if (inputId && inputUsername && storedUsername.toLowerCase() !== inputUsername) {
+      await renameTeknisi(rowIndex, storedUsername, username.replace('@', ''));
+      row[1] = username.replace('@', '');
+      await writeAudit({ id: inputId, username }, 'username berubah', { before: { USERNAME: storedUsername }, after: { USERNAME: row[1] } });
+    }
+    return row;
   } catch (error) {
     console.error('Error getting user data:', error);
     return null;
   }
 }
 
+// === Helper: Ganti nama teknisi di REKAPAN, TARGET lalu USER setelah @username berubah ===
+// USER ditulis terakhir: jika REKAPAN/TARGET gagal, nama lama masih tersimpan dan rename diulang
+// pada pesan berikutnya. Hanya sel yang berubah yang ditulis, di dalam antrean tulis REKAPAN.
+async function renameTeknisi(userRowIndex, oldName, newName) {
+  console.log(`Renaming teknisi ${oldName} -> ${newName}`);
+  const oldKey = oldName.toLowerCase();
+  
+  if (oldKey) {
+    await runRekapanWrite(async () => {
+      const rekapan = await getFreshSheetData(REKAPAN_SHEET);
+      const rowNumbers = [];
+      for (let i = 1; i < rekapan.length; i++) {
+        if ((rekapan[i][11] || '').replace('@', '').toLowerCase() === oldKey) rowNumbers.push(i + 1);
+      }
+      // Baris berurutan digabung jadi satu range agar hemat kuota write
+      for (let start = 0; start < rowNumbers.length;) {
+        let end = start;
+        while (end + 1 < rowNumbers.length && rowNumbers[end + 1] === rowNumbers[end] + 1) end++;
+        await updateSheetData(REKAPAN_SHEET, `L${rowNumbers[start]}:L${rowNumbers[end]}`, rowNumbers.slice(start, end + 1).map(() => [newName]));
+        start = end + 1;
+      }
+      
+      const targets = await getFreshSheetData(TARGET_SHEET);
+      for (let i = 1; i < targets.length; i++) {
+        if ((targets[i][1] || '').toUpperCase() === 'TEKNISI' && (targets[i][2] || '').toLowerCase() === oldKey) {
+          await updateSheetData(TARGET_SHEET, `C${i + 1}`, [[newName.toUpperCase()]]);
+        }
+      }
+    });
+  }
+  
+  await updateSheetData(USER_SHEET, `B${userRowIndex + 1}`, [[newName]]);
+}
+
+// === Helper: Cari index baris USER berdasarkan username (semua status, -1 jika tidak ada) ===
+function findUserRowIndex(data, username) {
+  const target = (username || '').replace('@', '').toLowerCase();
+  for (let i = 1; i < data.length; i++) {
+    if (target && (data[i][1] || '').replace('@', '').toLowerCase() === target) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// === Helper: Tambah user baru atau ubah role/status user yang sudah ada ===
+async function upsertUser(username, changes) {
+  const data = await getSheetData(USER_SHEET);
+  const name = username.replace('@', '');
+  const rowIndex = findUserRowIndex(data, name);
+  if (rowIndex === -1) {
+    const row = [String(data.length), name, changes.role || 'USER', changes.status || 'AKTIF', changes.telegramId || ''];
+    await appendSheetData(USER_SHEET, row);
+    return { created: true, before: null, after: row };
+  }
+  const before = data[rowIndex];
+  const after = [before[0] || String(rowIndex), before[1], changes.role || before[2] || 'USER', changes.status || before[3] || 'AKTIF', changes.telegramId || before[4] || ''];
+  await updateSheetData(USER_SHEET, `A${rowIndex + 1}:E${rowIndex + 1}`, [after]);
+  return { created: false, before, after };
+}
+
+// === Helper: Inline keyboard approve/tolak pendaftaran ===
+function userApprovalKeyboard(username) {
+  return {
+    inline_keyboard: [[
+      { text: '✅ Setujui', callback_data: `usr:approve:${username}` },
+      { text: '❌ Tolak', callback_data: `usr:reject:${username}` },
+    ]],
+  };
+}
+
 // === Helper: Cek admin ===
-async function isAdmin(username) {
-  const user = await getUserData(username);
+async function isAdmin(username, userId = null) {
+  const user = await getUserData(username, userId);
   return user && (user[2] || '').toUpperCase() === 'ADMIN';
 }
 
-// === Helper: Get today's date string ===
-function getTodayDateString() {
-  const today = new Date();
-  return today.toLocaleDateString('id-ID', {
-    weekday: 'long',
-    day: 'numeric',
-    month: 'long',
-    year: 'numeric',
-    timeZone: 'Asia/Jakarta'
-  });
+// === Helper: Cek apakah user adalah teknisi pemilik baris rekapan ===
+function isRowOwner(row, user, username) {
+  const rowTeknisi = (row[11] || '').replace('@', '').toLowerCase();
+  const userTeknisi = (user[1] || username).replace('@', '').toLowerCase();
+  return rowTeknisi !== '' && rowTeknisi === userTeknisi;
 }
 
-// === Helper: Parse tanggal dari string Indonesia ke Date object ===
-function parseIndonesianDate(dateStr) {
-  const months = {
-    'januari': '01', 'februari': '02', 'maret': '03', 'april': '04',
-    'mei': '05', 'juni': '06', 'juli': '07', 'agustus': '08',
-    'september': '09', 'oktober': '10', 'november': '11', 'desember': '12'
-  };
-  
-  const parts = dateStr.toLowerCase().split(' ');
-  if (parts.length >= 4) {
-    const day = parts[1].padStart(2, '0');
-    const month = months[parts[2]];
-    const year = parts[3];
-    if (month) {
-      return new Date(`${year}-${month}-${day}`);
+// === Helper: Cari index baris rekapan berdasarkan AO (-1 jika tidak ada) ===
+function findRowIndexByAO(data, ao) {
+  const target = (ao || '').toUpperCase().trim();
+  for (let i = 1; i < data.length; i++) {
+    if (target && (data[i][1] || '').toUpperCase().trim() === target) {
+      return i;
     }
   }
-  return null;
+  return -1;
 }
 
-// === Helper: Filter data berdasarkan periode ===
-function filterDataByPeriod(data, period, customDate = null) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  let startDate, endDate;
-  
-  if (customDate) {
-    // Parse custom date format (dd/mm/yyyy atau dd-mm-yyyy)
-    const datePattern = /(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})/;
-    const match = customDate.match(datePattern);
-    if (match) {
-      const day = parseInt(match[1]);
-      const month = parseInt(match[2]) - 1; // Month is 0-indexed
-      const year = parseInt(match[3]);
-      const targetDate = new Date(year, month, day);
-      
-      if (period === 'daily') {
-        startDate = new Date(targetDate);
-        endDate = new Date(targetDate);
-        endDate.setHours(23, 59, 59, 999);
-      } else if (period === 'weekly') {
-        // Get week start (Monday)
-        const dayOfWeek = targetDate.getDay();
-        const mondayOffset = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-        startDate = new Date(targetDate);
-        startDate.setDate(targetDate.getDate() + mondayOffset);
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date(startDate);
-        endDate.setDate(startDate.getDate() + 6);
-        endDate.setHours(23, 59, 59, 999);
-      } else if (period === 'monthly') {
-        startDate = new Date(targetDate.getFullYear(), targetDate.getMonth(), 1);
-        endDate = new Date(targetDate.getFullYear(), targetDate.getMonth() + 1, 0);
-        endDate.setHours(23, 59, 59, 999);
+// Field yang harus unik antar aktivasi (AO, WORKORDER, SERVICE NO)
+const UNIQUE_AKTIVASI_FIELDS = AKTIVASI_FIELDS.filter(f => ['AO', 'WORKORDER', 'SERVICE_NO'].includes(f.name));
+
+// === Helper: Cari aktivasi lain dengan AO/WORKORDER/SERVICE NO yang sama ===
+// Mengembalikan { rowIndex, field, value } atau null. Nilai kosong/"-" tidak dibandingkan.
+// skipRowIndex: baris yang sedang diubah (/edit) tidak dianggap duplikat dirinya sendiri.
+function findDuplicateAktivasi(data, parsed, { skipRowIndex = -1 } = {}) {
+  for (const field of UNIQUE_AKTIVASI_FIELDS) {
+    const value = (parsed[field.key] || '').toUpperCase().trim();
+    if (!value || value === '-') continue;
+    for (let i = 1; i < data.length; i++) {
+      if (i === skipRowIndex) continue;
+      if ((data[i][field.col] || '').toUpperCase().trim() === value) {
+        return { rowIndex: i, field, value: parsed[field.key].trim() };
       }
     }
-  } else {
-    // Default periods (current)
-    switch (period) {
-      case 'daily':
-        startDate = new Date(today);
-        endDate = new Date(today);
-        endDate.setHours(23, 59, 59, 999);
-        break;
-      case 'weekly':
-        const dayOfWeek = today.getDay();
-        const mondayOffset = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-        startDate = new Date(today);
-        startDate.setDate(today.getDate() + mondayOffset);
-        endDate = new Date(startDate);
-        endDate.setDate(startDate.getDate() + 6);
-        endDate.setHours(23, 59, 59, 999);
-        break;
-      case 'monthly':
-        startDate = new Date(today.getFullYear(), today.getMonth(), 1);
-        endDate = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-        endDate.setHours(23, 59, 59, 999);
-        break;
-      default:
-        return data.slice(1); // Return all data except header
+  }
+  return null;
+}
+
+// === Helper: Keterangan duplikat beserta pengirim dan tanggal data yang sudah ada ===
+function describeDuplicate(data, duplicate) {
+  const row = data[duplicate.rowIndex];
+  const teknisi = (row[11] || '').replace('@', '');
+  let msg = `${duplicate.field.name.replace('_', ' ')} ${escapeHtml(duplicate.value)} sudah pernah diinput`;
+  if (teknisi) msg += ` oleh @${escapeHtml(teknisi)}`;
+  if (row[0]) msg += ` pada ${escapeHtml(formatSheetDateLabel(row[0], REPORT_TIMEZONE))}`;
+  if (duplicate.field.name !== 'AO') msg += ` (AO ${escapeHtml(row[1] || '-')})`;
+  return msg;
+}
+
+function formatDuplicateMessage(data, duplicate) {
+  return `❌ Data duplikat. ${describeDuplicate(data, duplicate)}.`;
+}
+
+// Antrean tulis REKAPAN: cek duplikat + append, serta setiap tulis ke nomor baris tertentu
+// (/edit, /hapus, /clear, /migrasi, ganti nama teknisi) dijalankan satu per satu
+// agar dua /aktivasi dengan AO sama tidak sama-sama tersimpan dan index baris tidak bergeser
+let rekapanWriteQueue = Promise.resolve();
+function runRekapanWrite(task) {
+  const result = rekapanWriteQueue.then(task);
+  rekapanWriteQueue = result.catch(() => {});
+  return result;
+}
+
+// === Helper: Simpan banyak aktivasi sekaligus (bulk /aktivasi dan upload file) ===
+// records = [{ label, parsed, tanggal }]. Tiap record divalidasi dan dicek duplikat, termasuk
+// terhadap record sebelumnya di batch yang sama. Hasil: status saved | duplicate | invalid per record.
+// TANGGAL yang tidak bisa dibaca (misalnya dari file impor) ditolak, karena tidak akan masuk laporan mana pun.
+async function saveAktivasiBatch(records, actor, source) {
+  const results = await runRekapanWrite(async () => {
+    const sheetData = await getSheetData(REKAPAN_SHEET);
+    const newRows = [];
+    const batchResults = records.map(record => {
+      const validation = validateAktivasi(record.parsed, validationRules);
+      const errors = validation.errors.map(e => `${e.label} ${e.message}`);
+      if (!parseSheetDate(record.tanggal, REPORT_TIMEZONE)) {
+        errors.unshift(`TANGGAL ${escapeHtml(record.tanggal)} tidak dikenali`);
+      }
+      if (errors.length > 0) {
+        return { ...record, status: 'invalid', detail: errors.join(', ') };
+      }
+      const duplicate = findDuplicateAktivasi(sheetData, record.parsed);
+      if (duplicate) {
+        return { ...record, status: 'duplicate', detail: describeDuplicate(sheetData, duplicate) };
+      }
+      const row = buildRekapanRow(record.parsed, record.tanggal);
+      sheetData.push(row);
+      newRows.push(row);
+      return { ...record, status: 'saved' };
+    });
+    if (newRows.length > 0) {
+      await appendSheetRows(REKAPAN_SHEET, newRows);
     }
+    return batchResults;
+  });
+  
+  const saved = results.filter(r => r.status === 'saved');
+  if (saved.length > 0) {
+    await writeAudit(actor, '/aktivasi bulk', { aos: saved.map(r => r.parsed.ao), after: { SUMBER: source, DISIMPAN: saved.length } });
   }
+  return results;
+}
+
+// === Helper: Laporan hasil bulk /aktivasi per record ===
+function formatBulkReport(results, source) {
+  const count = (status) => results.filter(r => r.status === status).length;
+  const icons = { saved: '✅', duplicate: '♻️', invalid: '❌' };
+  const labels = { saved: 'tersimpan', duplicate: 'duplikat', invalid: 'tidak valid' };
   
-  const filtered = [];
-  for (let i = 1; i < data.length; i++) {
-    const dateStr = data[i][0];
-    if (dateStr) {
-      const rowDate = parseIndonesianDate(dateStr);
-      if (rowDate && rowDate >= startDate && rowDate <= endDate) {
-        filtered.push(data[i]);
-      }
+  let msg = `📦 <b>HASIL BULK AKTIVASI</b> (${escapeHtml(source)})\n`;
+  msg += `✅ Tersimpan: ${count('saved')} | ♻️ Duplikat: ${count('duplicate')} | ❌ Tidak valid: ${count('invalid')}\n\n`;
+  results.forEach(r => {
+    msg += `${icons[r.status]} ${escapeHtml(r.label)} ${escapeHtml(r.parsed.ao) || '(tanpa AO)'}: ${labels[r.status]}`;
+    if (r.parser) msg += ` [${escapeHtml(r.parser.name)}]`;
+    if (r.detail) msg += ` - ${r.detail}`;
+    const guessed = AKTIVASI_FIELDS.filter(f => (r.guessed || []).includes(f.key));
+    if (r.status === 'saved' && guessed.length > 0) {
+      msg += ` ⚠️ ditebak: ${guessed.map(f => f.name).join(', ')}`;
     }
+    msg += '\n';
+  });
+  return msg;
+}
+
+// === Helper: Unduh file Telegram (dokumen upload) menjadi Buffer ===
+async function downloadTelegramFile(fileId) {
+  const chunks = [];
+  for await (const chunk of bot.getFileStream(fileId)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// === Helper: Metadata foto terbesar dari pesan Telegram ===
+function getPhotoMeta(msg) {
+  const photo = msg.photo[msg.photo.length - 1];
+  return {
+    fileId: photo.file_id,
+    fileUniqueId: photo.file_unique_id || '',
+    size: `${photo.width}x${photo.height}`,
+    // Caption /aktivasi berisi data/AO, bukan keterangan foto
+    caption: /^\/aktivasi\b/i.test(msg.caption || '') ? '' : (msg.caption || '').trim().substring(0, 200),
+  };
+}
+
+// === Helper: Simpan foto bukti untuk AO (foto yang sama tidak dicatat dua kali) ===
+async function saveEvidencePhotos(ao, photos, actor) {
+  const existing = await getSheetData(FOTO_SHEET);
+  const known = new Set(existing.filter(row => (row[0] || '').toUpperCase() === ao.toUpperCase()).map(row => row[2]));
+  const fresh = photos.filter(p => !p.fileUniqueId || !known.has(p.fileUniqueId));
+  if (fresh.length > 0) {
+    const sentAt = new Date().toISOString();
+    await appendSheetRows(FOTO_SHEET, fresh.map(p =>
+      [ao, p.fileId, p.fileUniqueId, p.size, p.caption, (actor.username || '').replace('@', ''), String(actor.id || ''), sentAt]
+    ));
+    await writeAudit(actor, 'foto', { aos: [ao], after: { FOTO: fresh.length } });
+  }
+  return existing.filter(row => (row[0] || '').toUpperCase() === ao.toUpperCase()).length + fresh.length;
+}
+
+// === Helper: Set AO (huruf besar) yang sudah punya foto bukti ===
+async function getEvidenceAOs() {
+  const data = await getSheetData(FOTO_SHEET);
+  return new Set(data.slice(1).map(row => (row[0] || '').toUpperCase().trim()).filter(ao => ao));
+}
+
+// Album foto: hanya foto pertama yang membawa caption, sisanya ikut draft/AO foto pertama
+const EVIDENCE_ALBUM_TTL_MS = 10 * 60 * 1000;
+const evidenceAlbums = createEvidenceAlbums({ ttlMs: EVIDENCE_ALBUM_TTL_MS });
+
+// === Helper: Tautkan foto ke AO yang sudah tersimpan (pemilik baris atau admin) ===
+async function attachEvidence(msg, ao, user, username) {
+  const chatId = msg.chat.id;
+  const data = await getSheetData(REKAPAN_SHEET);
+  const rowIndex = findRowIndexByAO(data, ao);
+  if (rowIndex === -1) {
+    return sendTelegram(chatId, `❌ AO ${escapeHtml(ao)} tidak ditemukan, foto tidak disimpan.`, { reply_to_message_id: msg.message_id });
+  }
+  const admin = (user[2] || '').toUpperCase() === 'ADMIN';
+  if (!admin && !isRowOwner(data[rowIndex], user, username)) {
+    return sendTelegram(chatId, '❌ Foto hanya bisa ditambahkan ke aktivasi milik sendiri.', { reply_to_message_id: msg.message_id });
   }
   
-  return filtered;
+  // Foto album yang datang selama pengecekan ikut disimpan; satu balasan per album cukup
+  const albumPhotos = msg.media_group_id ? evidenceAlbums.resolve(msg.media_group_id, { ao: data[rowIndex][1] }) : [];
+  const total = await saveEvidencePhotos(data[rowIndex][1], [msg, ...albumPhotos].map(getPhotoMeta), { id: msg.from.id, username });
+  return sendTelegram(chatId, `📷 Foto bukti tersimpan untuk AO ${escapeHtml(data[rowIndex][1])} (total ${total} foto).`, { reply_to_message_id: msg.message_id });
 }
 
-// === Helper: Generate CSV content ===
-function generateCSV(data, headers) {
-  let csv = headers.join(',') + '\n';
+// === Helper: Preview /clear - AO ganda, baris yang disimpan dan yang dihapus ===
+function formatClearPreview(data, plan, strategy) {
+  const describe = (i) => {
+    const teknisi = (data[i][11] || '').replace('@', '');
+    return `baris ${i + 1}${teknisi ? ` @${escapeHtml(teknisi)}` : ''}${data[i][0] ? `, ${escapeHtml(formatSheetDateLabel(data[i][0], REPORT_TIMEZONE))}` : ''}`;
+  };
+  const maxGroups = 20;
   
-  data.forEach(row => {
-    const csvRow = row.map(cell => {
-      const cellStr = (cell || '').toString();
-      // Escape double quotes and wrap in quotes if contains comma or quotes
-      if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
-        return '"' + cellStr.replace(/"/g, '""') + '"';
-      }
-      return cellStr;
+  let msg = `🧹 <b>PREVIEW /clear</b> (disimpan: ${KEEP_STRATEGIES[strategy]})\n`;
+  msg += `${plan.groups.length} AO ganda, ${plan.removeIndexes.length} baris akan dihapus\n\n`;
+  plan.groups.slice(0, maxGroups).forEach(g => {
+    msg += `• <b>${escapeHtml(g.key)}</b>\n`;
+    msg += `   ✅ simpan ${describe(g.keep)}\n`;
+    g.remove.forEach(i => {
+      msg += `   🗑 hapus ${describe(i)}\n`;
     });
-    csv += csvRow.join(',') + '\n';
   });
-  
-  return csv;
+  if (plan.groups.length > maxGroups) {
+    msg += `... dan ${plan.groups.length - maxGroups} AO lainnya\n`;
+  }
+  msg += `\nJalankan /clear apply ${strategy} untuk menghapus. Baris yang dihapus disalin ke sheet ${CLEAR_BACKUP_SHEET}.`;
+  return msg;
 }
 
-// === Handler pesan masuk dengan error handling lengkap ===
-bot.on('message', async (msg) => {
-  const chatId = msg.chat.id;
-  const messageId = msg.message_id;
-  const text = (msg.text || '').trim();
-  const username = msg.from.username || '';
-  const chatType = msg.chat.type;
+// === Helper: Kembalikan baris dari backup /clear (default: backup terakhir) ===
+// Baris dikembalikan ke akhir REKAPAN lalu dihapus dari sheet backup. Baris yang bentrok
+// (cek duplikat seperti saveAktivasiBatch) dengan data yang tersimpan setelah /clear dilewati
+// dan tetap di sheet backup. Baris AO sama yang sudah ada sebelum /clear adalah baris yang
+// sengaja disimpan /clear, jadi tidak dihitung bentrok.
+async function restoreClearBackup(batchId) {
+  const backup = await getFreshSheetData(CLEAR_BACKUP_SHEET);
+  let target = (batchId || '').toLowerCase();
+  if (!target) {
+    const last = [...backup].slice(1).reverse().find(row => row[0]);
+    if (!last) return null;
+    target = last[0].toLowerCase();
+  }
   
-  // Log untuk debugging
-  console.log(`Message received - Chat: ${chatId}, User: @${username}, Type: ${chatType}, Text: ${text.substring(0, 50)}`);
+  const indexes = [];
+  for (let i = 1; i < backup.length; i++) {
+    if ((backup[i][0] || '').toLowerCase() === target) indexes.push(i);
+  }
+  if (indexes.length === 0) return null;
   
-  try {
-    // === Hanya proses /aktivasi di group, command lain diabaikan ===
-    if ((chatType === 'group' || chatType === 'supergroup') && !/^\/aktivasi\b/i.test(text)) {
+  const rekapan = await getFreshSheetData(REKAPAN_SHEET);
+  const clearedAt = new Date(backup[indexes[0]][1]);
+  const savedAfterClear = (row) => !isNaN(clearedAt) && new Date(row[0]) > clearedAt;
+  const restored = [];
+  const skipped = [];
+  indexes.forEach(i => {
+    const row = REKAPAN_HEADERS.map((h, c) => backup[i][4 + c] || '');
+    const ao = (row[1] || '').toUpperCase().trim();
+    const others = [rekapan[0], ...rekapan.slice(1).filter(r => (r[1] || '').toUpperCase().trim() !== ao || savedAfterClear(r))];
+    if (findDuplicateAktivasi(others, rowToParsed(row))) {
+      skipped.push(i);
       return;
     }
-    
-    // === /exportcari: Export detail aktivasi user ke CSV ===
-    if (/^\/exportcari\b/i.test(text)) {
-      const user = await getUserData(username);
-      if (!user) {
-        return sendTelegram(chatId, '❌ Anda tidak terdaftar sebagai user aktif.', { reply_to_message_id: messageId });
-      }
-      
-      const data = await getSheetData(REKAPAN_SHEET);
-      const userTeknisi = (user[1] || username).replace('@', '').toLowerCase();
-      const userActivations = [];
-      
-      // Headers untuk CSV
-      const headers = ['TANGGAL', 'AO', 'WORKORDER', 'SERVICE_NO', 'CUSTOMER_NAME', 'OWNER', 'WORKZONE', 'SN_ONT', 'NIK_ONT', 'STB_ID', 'NIK_STB', 'TEKNISI'];
-      
-      // Filter data untuk user ini
-      for (let i = 1; i < data.length; i++) {
-        const teknisiData = (data[i][11] || '').replace('@', '').toLowerCase();
-        if (teknisiData === userTeknisi) {
-          userActivations.push(data[i]);
-        }
-      }
-      
-      if (userActivations.length === 0) {
-        return sendTelegram(chatId, '❌ Tidak ada data aktivasi untuk diekspor.', { reply_to_message_id: messageId });
-      }
-      
-      // Generate CSV
-      const csvContent = generateCSV(userActivations, headers);
-      const filename = `aktivasi_${userTeknisi}_${new Date().toISOString().split('T')[0]}.csv`;
-      
-      await sendCSVFile(chatId, csvContent, filename, { reply_to_message_id: messageId });
-    }
-    
-    // === /ps: Laporan harian detail dengan support tanggal custom ===
-    else if (/^\/ps\b/i.test(text)) {
-      if (!(await isAdmin(username))) {
-        return sendTelegram(chatId, '❌ Akses ditolak. Command /ps hanya untuk admin.', { reply_to_message_id: messageId });
-      }
-      
-      // Parse parameter tanggal jika ada
-      const args = text.split(' ').slice(1);
-      const customDate = args.length > 0 ? args[0] : null;
-      
-      const data = await getSheetData(REKAPAN_SHEET);
-      const filteredData = customDate ? 
-        filterDataByPeriod(data, 'daily', customDate) : 
-        filterDataByPeriod(data, 'daily');
-      
-      let total = filteredData.length;
-      let teknisiMap = {}, workzoneMap = {}, ownerMap = {};
-      
-      filteredData.forEach(row => {
-        const teknisi = (row[11] || '-').toUpperCase();
-        const workzone = (row[6] || '-').toUpperCase();
-        const owner = (row[5] || '-').toUpperCase();
-        teknisiMap[teknisi] = (teknisiMap[teknisi] || 0) + 1;
-        workzoneMap[workzone] = (workzoneMap[workzone] || 0) + 1;
-        ownerMap[owner] = (ownerMap[owner] || 0) + 1;
+    rekapan.push(row);
+    restored.push({ index: i, row });
+  });
+  
+  if (restored.length > 0) {
+    await appendSheetRows(REKAPAN_SHEET, restored.map(r => r.row));
+    await deleteSheetRows(CLEAR_BACKUP_SHEET, restored.map(r => r.index));
+  }
+  return { batchId: target, count: restored.length, skipped: skipped.length, aos: restored.map(r => r.row[1]) };
+}
+
+// === Helper: Normalisasi nama field /edit (SN_ONT, sn-ont, SNONT -> SN_ONT) ===
+function resolveEditableField(input) {
+  const key = (input || '').toUpperCase().replace(/[^A-Z]/g, '');
+  return Object.keys(EDITABLE_FIELDS).find(f => f.replace(/_/g, '') === key) || null;
+}
+
+// === Helper: Index kolom (0-based) ke huruf kolom sheet ===
+function columnLetter(index) {
+  return String.fromCharCode(65 + index);
+}
+
+// === Helper: Baris kosong (misalnya dikosongkan manual di sheet) ===
+function isEmptyRow(row) {
+  return !row || !row.some(cell => (cell || '').toString().trim());
+}
+
+// === Helper: Susun baris REKAPAN sesuai urutan kolom sheet ===
+function buildRekapanRow(parsed, tanggal) {
+  return [
+    tanggal,               // TANGGAL
+    parsed.ao,             // AO
+    parsed.workorder,      // WORKORDER
+    parsed.serviceNo,      // SERVICE NO
+    parsed.customerName,   // CUSTOMER NAME
+    parsed.owner,          // OWNER
+    parsed.workzone,       // WORKZONE
+    parsed.snOnt,          // SN ONT
+    parsed.nikOnt,         // NIK ONT
+    parsed.stbId,          // STB ID
+    parsed.nikStb,         // NIK STB
+    parsed.teknisi         // TEKNISI
+  ];
+}
+
+// === Helper: Baris REKAPAN ke objek field seperti hasil parseAktivasi ===
+function rowToParsed(row) {
+  const parsed = { teknisi: row[11] || '' };
+  AKTIVASI_FIELDS.forEach(f => {
+    parsed[f.key] = row[f.col] || '';
+  });
+  return parsed;
+}
+
+// === Helper: Pesan preview draft /aktivasi ===
+function formatAktivasiPreview(draft) {
+  const { parsed, parser } = draft;
+  const guessed = AKTIVASI_FIELDS.filter(f => (draft.guessed || []).includes(f.key));
+  let msg = '📝 <b>PREVIEW DATA AKTIVASI</b>\n';
+  // Format yang dipakai parser, supaya salah deteksi format langsung terlihat
+  msg += `🧩 Format: ${parser ? escapeHtml(parser.label) : 'tidak dikenali'}\n\n`;
+  AKTIVASI_FIELDS.forEach(f => {
+    msg += `${f.name}: <code>${escapeHtml(parsed[f.key]) || '-'}</code>${guessed.includes(f) ? ' ⚠️' : ''}\n`;
+  });
+  msg += `TEKNISI: ${escapeHtml(parsed.teknisi) || '-'}\n\n`;
+  if (guessed.length > 0) {
+    msg += `⚠️ Ditebak tanpa label, periksa kembali: ${guessed.map(f => f.name).join(', ')}\n\n`;
+  }
+  msg += `Periksa data di atas, lalu tekan <b>Simpan</b>. Draft kedaluwarsa dalam ${DRAFT_TTL_MINUTES} menit.`;
+  return msg;
+}
+
+// === Helper: Trace parser untuk /debugparse: kandidat format, aturan per field, hasil validasi ===
+function formatParseTrace(result, validation, duplicateText) {
+  let msg = `🧩 Parser: ${result.parser ? `${escapeHtml(result.parser.label)} (skor ${result.score})` : 'tidak ada yang cocok'}\n`;
+  msg += `Kandidat: ${result.candidates.map(c => `${escapeHtml(c.name)} ${c.score}`).join(', ') || '-'}\n\n`;
+  AKTIVASI_FIELDS.forEach(f => {
+    const t = result.trace[f.key];
+    msg += `${f.name}: <code>${escapeHtml(t.value) || '-'}</code>`;
+    if (t.rule) msg += ` ← ${t.source === 'heuristic' ? '⚠️ tebakan' : 'label'} "${escapeHtml(t.rule)}"`;
+    if (t.tried.length > 0) msg += ` (kosong: ${t.tried.map(escapeHtml).join('; ')})`;
+    msg += '\n';
+  });
+  msg += `TEKNISI: ${escapeHtml(result.parsed.teknisi) || '-'}\n\n`;
+  msg += validation.valid
+    ? '✅ Validasi lolos\n'
+    : `❌ Validasi gagal: ${validation.errors.map(e => `${e.label} ${e.message}`).join(', ')}\n`;
+  if (duplicateText) msg += `♻️ Duplikat: ${duplicateText}\n`;
+  return msg;
+}
+
+// === Helper: Inline keyboard draft /aktivasi ===
+function aktivasiDraftKeyboard(draftId) {
+  return {
+    inline_keyboard: [
+      [
+        { text: '✅ Simpan', callback_data: `akt:save:${draftId}` },
+        { text: '❌ Batal', callback_data: `akt:cancel:${draftId}` },
+      ],
+      [{ text: '✏️ Edit field', callback_data: `akt:edit:${draftId}` }],
+    ],
+  };
+}
+
+// === Helper: Inline keyboard pilihan field untuk edit draft ===
+function aktivasiFieldKeyboard(draftId) {
+  const rows = [];
+  for (let i = 0; i < AKTIVASI_FIELDS.length; i += 2) {
+    rows.push(AKTIVASI_FIELDS.slice(i, i + 2).map(f => ({
+      text: f.name,
+      callback_data: `akt:field:${draftId}:${f.name}`,
+    })));
+  }
+  rows.push([{ text: '⬅️ Kembali', callback_data: `akt:back:${draftId}` }]);
+  return { inline_keyboard: rows };
+}
+
+// === Helper: Get today's date string ===
+function getTodayDateString() {
+  const today = new Date();
+  return today.toLocaleDateString('id-ID', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: REPORT_TIMEZONE
+  });
+}
+
+// === Helper: Waktu untuk label laporan, contoh "1/9/2025, 14.32.05 WIB" ===
+function formatReportTime(date = new Date()) {
+  return `${date.toLocaleString('id-ID', { timeZone: REPORT_TIMEZONE })} ${REPORT_TIMEZONE_LABEL}`;
+}
+
+// === Helper: Filter data berdasarkan periode ===
+// Hari/minggu/bulan dihitung pada REPORT_TIMEZONE, bukan jam lokal server
+function filterDataByPeriod(data, period, customDate = null) {
+  if (!customDate && !REPORT_PERIODS.includes(period)) {
+    return data.slice(1); // Return all data except header
+  }
+  
+  // Tanggal custom: dd/mm/yyyy atau dd-mm-yyyy, atau Date tanggal acuan (dipakai /tren)
+  let reference = customDate instanceof Date ? customDate : null;
+  if (!reference) {
+    reference = customDate ? parseDateArg(customDate) : getZonedToday(new Date(), REPORT_TIMEZONE);
+  }
+  const range = reference && getPeriodRange(period, reference);
+  return range ? filterDataByRange(data, range.startDate, range.endDate) : [];
+}
+
+// === Helper: Filter data berdasarkan rentang tanggal (inklusif, baris header dilewati) ===
+function filterDataByRange(data, startDate, endDate) {
+  const filtered = [];
+  for (let i = 1; i < data.length; i++) {
+    const dateStr = data[i][0];
+    if (dateStr) {
+      const rowDate = parseSheetDate(dateStr, REPORT_TIMEZONE);
+      if (rowDate && rowDate >= startDate && rowDate <= endDate) {
+        filtered.push(data[i]);
+      }
+    }
+  }
+  
+  return filtered;
+}
+
+// === Helper: Parse tanggal argumen (dd/mm/yyyy, dd-mm-yyyy, atau dd/mm tahun berjalan) ===
+function parseDateArg(value) {
+  return parseDateInput(value, getZonedToday(new Date(), REPORT_TIMEZONE));
+}
+
+// === Helper: Parse rentang tanggal "01/09/2025 15/09/2025" atau "01/09-15/09" ===
+function parseDateRange(fromArg, toArg) {
+  let fromStr = fromArg;
+  let toStr = toArg;
+  if (!toStr) {
+    // Satu token: pisahkan dua tanggal yang digabung dengan "-", "s/d" atau ".."
+    const joined = (fromArg || '').match(/^(\d{1,2}[\/\-]\d{1,2}(?:[\/\-]\d{4})?)(?:-|s\/d|\.\.)(\d{1,2}[\/\-]\d{1,2}(?:[\/\-]\d{4})?)$/i);
+    if (!joined) return null;
+    fromStr = joined[1];
+    toStr = joined[2];
+  }
+  const startDate = parseDateArg(fromStr);
+  const endDate = parseDateArg(toStr);
+  if (!startDate || !endDate || startDate > endDate) return null;
+  return { startDate, endDate };
+}
+
+// === Helper: Filter baris berdasarkan owner, workzone (boleh dipisah koma) dan teknisi ===
+function filterRowsByFields(rows, filters) {
+  const owners = filters.owner ? filters.owner.toUpperCase().split(',') : null;
+  const workzones = filters.workzone ? filters.workzone.toUpperCase().split(',') : null;
+  const teknisi = filters.teknisi ? filters.teknisi.replace('@', '').toLowerCase() : null;
+  return rows.filter(row =>
+    (!owners || owners.includes((row[5] || '').toUpperCase().trim())) &&
+    (!workzones || workzones.includes((row[6] || '').toUpperCase().trim())) &&
+    (!teknisi || (row[11] || '').replace('@', '').toLowerCase() === teknisi)
+  );
+}
+
+// === Helper: Batasi data ke workzone/sektor tertentu (header tetap) ===
+function filterDataByWorkzone(data, workzones) {
+  if (!workzones || workzones.length === 0) return data;
+  return data.filter((row, i) => i === 0 || workzones.includes((row[6] || '').toUpperCase().trim()));
+}
+
+// === Helper: Label sektor untuk laporan yang dibatasi workzone ===
+function formatSectorLabel(workzones) {
+  return workzones && workzones.length > 0 ? `\nSektor: ${workzones.join(', ')}` : '';
+}
+
+// === Helper: Ambil pengaturan grup (command yang diizinkan dan sektor) ===
+async function getGroupSettings(chatId) {
+  const data = await getSheetData(GRUP_SHEET);
+  for (let i = 1; i < data.length; i++) {
+    if ((data[i][0] || '').trim() === String(chatId)) {
+      const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(v => v);
+      return {
+        rowIndex: i,
+        chatId: data[i][0],
+        name: data[i][1] || '',
+        commands: splitList(data[i][2]).map(c => c.toLowerCase()),
+        workzones: splitList(data[i][3]).map(w => w.toUpperCase()),
+      };
+    }
+  }
+  return null;
+}
+
+// === Helper: Simpan pengaturan grup (update baris lama atau tambah baru) ===
+async function saveGroupSettings(settings, updatedBy) {
+  const row = [String(settings.chatId), settings.name, settings.commands.join(','), settings.workzones.join(','), updatedBy];
+  if (settings.rowIndex) {
+    await updateSheetData(GRUP_SHEET, `A${settings.rowIndex + 1}:E${settings.rowIndex + 1}`, [row]);
+  } else {
+    await appendSheetData(GRUP_SHEET, row);
+  }
+}
+
+// === Helper: Tanggal hari ini (REPORT_TIMEZONE) sebagai { year, month, day } ===
+function getTodayParts() {
+  const { year, month, day } = getZonedParts(new Date(), REPORT_TIMEZONE);
+  return { year, month, day };
+}
+
+// === Helper: Bulan laporan dari tanggal custom atau bulan berjalan ===
+// Tanggal dibaca dengan parseDateArg yang sama seperti filter periode (termasuk dd/mm tanpa tahun)
+function getReportMonth(customDate = null) {
+  const date = customDate && parseDateArg(customDate);
+  if (date) {
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 };
+  }
+  const { year, month } = getTodayParts();
+  return { year, month };
+}
+
+// === Helper: Ambil target bulanan dari sheet TARGET ===
+// Hasil: { TEKNISI: { NAMA: n }, WORKZONE: {...}, OWNER: {...} }, nama dalam huruf besar
+async function getTargets(period) {
+  const targets = { TEKNISI: {}, WORKZONE: {}, OWNER: {} };
+  const monthKey = formatMonthKey(period);
+  const data = await getSheetData(TARGET_SHEET);
+  for (let i = 1; i < data.length; i++) {
+    const type = (data[i][1] || '').toUpperCase();
+    if ((data[i][0] || '').trim() !== monthKey || !targets[type]) continue;
+    const name = (data[i][2] || '').replace('@', '').toUpperCase().trim();
+    const value = parseInt(data[i][3]);
+    if (name && value > 0) targets[type][name] = value;
+  }
+  return targets;
+}
+
+// === Helper: Format baris progres target untuk nama tertentu ===
+function formatTargetLine(name, achieved, target, period) {
+  return `- ${name}: ${formatTargetProgress(computeTargetProgress(achieved, target, period, getTodayParts()))}\n`;
+}
+
+// Label periode pembanding pada laporan dengan opsi banding
+const PREVIOUS_PERIOD_LABELS = {
+  daily: 'hari sebelumnya',
+  weekly: 'minggu sebelumnya',
+  monthly: 'bulan sebelumnya',
+};
+
+// Argumen /ps, /weekly, /monthly. Opsi boleh ditulis sebelum atau sesudah tanggal (rest:
+// pilihan tidak dicek per posisi), urutannya diurus parseReportArgs
+const REPORT_ARGS = [{ name: 'tanggal' }, { name: 'opsi', choices: REPORT_OPTIONS, rest: true }];
+
+// === Helper: Bagian perbandingan laporan dengan periode sebelumnya ===
+// Periode berjalan dibandingkan dengan rentang yang sama panjang pada periode sebelumnya
+function formatPeriodComparison(data, period, customDate, currentRows) {
+  const today = getZonedToday(new Date(), REPORT_TIMEZONE);
+  const reference = customDate ? parseDateArg(customDate) : today;
+  const previous = reference && getPreviousPeriodRange(period, reference, today);
+  if (!previous) return '';
+  const previousRows = filterDataByRange(data, previous.startDate, previous.endDate);
+  return formatComparisonSection(countRows(currentRows), countRows(previousRows), {
+    label: `${PREVIOUS_PERIOD_LABELS[period]} (${formatRangeLabel(previous)})`,
+  });
+}
+
+// === Report: Laporan harian (dipakai /ps dan jadwal otomatis) ===
+async function buildDailyReport(customDate = null, workzones = null, options = {}) {
+  const data = filterDataByWorkzone(await getSheetData(REKAPAN_SHEET), workzones);
+  const filteredData = customDate ? 
+    filterDataByPeriod(data, 'daily', customDate) : 
+    filterDataByPeriod(data, 'daily');
+  
+  let total = filteredData.length;
+  let teknisiMap = {}, workzoneMap = {}, ownerMap = {};
+  
+  filteredData.forEach(row => {
+    const teknisi = (row[11] || '-').toUpperCase();
+    const workzone = (row[6] || '-').toUpperCase();
+    const owner = (row[5] || '-').toUpperCase();
+    teknisiMap[teknisi] = (teknisiMap[teknisi] || 0) + 1;
+    workzoneMap[workzone] = (workzoneMap[workzone] || 0) + 1;
+    ownerMap[owner] = (ownerMap[owner] || 0) + 1;
+  });
+  
+  const dateLabel = customDate ? `Tanggal: ${customDate}` : `Tanggal: ${getTodayDateString()}`;
+  let msg = `📊 <b>LAPORAN AKTIVASI HARIAN</b>\n${dateLabel}${formatSectorLabel(workzones)}\nTotal Aktivasi: ${total} SSL\n\n`;
+  
+  if (total === 0) {
+    msg += '⚠️ Belum ada data aktivasi untuk periode ini.\n\n';
+  } else {
+    msg += `METRICS PERIODE INI:\n- Teknisi Aktif: ${Object.keys(teknisiMap).length}\n- Workzone Tercover: ${Object.keys(workzoneMap).length}\n- Owner: ${Object.keys(ownerMap).length}\n\n`;
+    
+    msg += 'PERFORMA TEKNISI:\n';
+    Object.entries(teknisiMap).sort((a,b)=>b[1]-a[1]).forEach(([t,c],i)=>{
+      msg+=`${i+1}. ${t}: ${c} SSL\n`;
+    });
+    
+    msg += '\nPERFORMA WORKZONE:\n';
+    Object.entries(workzoneMap).sort((a,b)=>b[1]-a[1]).forEach(([w,c],i)=>{
+      msg+=`${i+1}. ${w}: ${c} SSL\n`;
+    });
+    
+    msg += '\nPERFORMA OWNER:\n';
+    Object.entries(ownerMap).sort((a,b)=>b[1]-a[1]).forEach(([o,c],i)=>{
+      msg+=`${i+1}. ${o}: ${c} SSL\n`;
+    });
+    
+    msg += formatEvidenceSection(filteredData, await getEvidenceAOs(), { listAOs: true });
+  }
+  
+  if (options.compare) {
+    msg += formatPeriodComparison(data, 'daily', customDate, filteredData);
+  }
+  
+  msg += `\nDATA SOURCE: REKAPAN_QUALITY\nGENERATED: ${formatReportTime()}`;
+  return msg;
+}
+
+// === Report: Laporan mingguan (dipakai /weekly dan jadwal otomatis) ===
+async function buildWeeklyReport(customDate = null, workzones = null, options = {}) {
+  const data = filterDataByWorkzone(await getSheetData(REKAPAN_SHEET), workzones);
+  const filteredData = filterDataByPeriod(data, 'weekly', customDate);
+  
+  let total = filteredData.length;
+  let teknisiMap = {}, workzoneMap = {}, ownerMap = {};
+  
+  filteredData.forEach(row => {
+    const teknisi = (row[11] || '-').toUpperCase();
+    const workzone = (row[6] || '-').toUpperCase();
+    const owner = (row[5] || '-').toUpperCase();
+    teknisiMap[teknisi] = (teknisiMap[teknisi] || 0) + 1;
+    workzoneMap[workzone] = (workzoneMap[workzone] || 0) + 1;
+    ownerMap[owner] = (ownerMap[owner] || 0) + 1;
+  });
+  
+  const periodLabel = customDate ? `Minggu dari: ${customDate}` : 'Minggu ini';
+  let msg = `📈 <b>LAPORAN AKTIVASI MINGGUAN</b>\n${periodLabel}${formatSectorLabel(workzones)}\nTotal Aktivasi: ${total} SSL\n\n`;
+  
+  if (total === 0) {
+    msg += '⚠️ Belum ada data aktivasi untuk periode ini.\n\n';
+  } else {
+    msg += `METRICS MINGGUAN:\n- Teknisi Aktif: ${Object.keys(teknisiMap).length}\n- Workzone Tercover: ${Object.keys(workzoneMap).length}\n- Owner: ${Object.keys(ownerMap).length}\n\n`;
+    
+    msg += 'TOP 10 TEKNISI MINGGU INI:\n';
+    Object.entries(teknisiMap).sort((a,b)=>b[1]-a[1]).slice(0,10).forEach(([t,c],i)=>{
+      const medal = i < 3 ? ['🥇', '🥈', '🥉'][i] : `${i+1}.`;
+      msg+=`${medal} ${t}: ${c} SSL\n`;
+    });
+    
+    msg += '\nWORKZONE TERBAIK:\n';
+    Object.entries(workzoneMap).sort((a,b)=>b[1]-a[1]).slice(0,5).forEach(([w,c],i)=>{
+      msg+=`${i+1}. ${w}: ${c} SSL\n`;
+    });
+    
+    msg += formatEvidenceSection(filteredData, await getEvidenceAOs());
+  }
+  
+  if (options.compare) {
+    msg += formatPeriodComparison(data, 'weekly', customDate, filteredData);
+  }
+  
+  msg += `\nDATA SOURCE: REKAPAN_QUALITY\nGENERATED: ${formatReportTime()}`;
+  return msg;
+}
+
+// === Report: Laporan bulanan (dipakai /monthly dan jadwal otomatis) ===
+async function buildMonthlyReport(customDate = null, workzones = null, options = {}) {
+  const data = filterDataByWorkzone(await getSheetData(REKAPAN_SHEET), workzones);
+  const filteredData = filterDataByPeriod(data, 'monthly', customDate);
+  
+  let total = filteredData.length;
+  let teknisiMap = {}, workzoneMap = {}, ownerMap = {};
+  
+  filteredData.forEach(row => {
+    const teknisi = (row[11] || '-').toUpperCase();
+    const workzone = (row[6] || '-').toUpperCase();
+    const owner = (row[5] || '-').toUpperCase();
+    teknisiMap[teknisi] = (teknisiMap[teknisi] || 0) + 1;
+    workzoneMap[workzone] = (workzoneMap[workzone] || 0) + 1;
+    ownerMap[owner] = (ownerMap[owner] || 0) + 1;
+  });
+  
+  const period = getReportMonth(customDate);
+  const targets = await getTargets(period);
+  const averagePerDay = total / elapsedDaysInMonth(period, getTodayParts());
+  
+  const periodLabel = customDate ? `Bulan dari: ${customDate}` : 'Bulan ini';
+  let msg = `📅 <b>LAPORAN AKTIVASI BULANAN</b>\n${periodLabel}${formatSectorLabel(workzones)}\nTotal Aktivasi: ${total} SSL\n\n`;
+  
+  if (total === 0) {
+    msg += '⚠️ Belum ada data aktivasi untuk periode ini.\n\n';
+  } else {
+    msg += `METRICS BULANAN:\n- Teknisi Aktif: ${Object.keys(teknisiMap).length}\n- Workzone Tercover: ${Object.keys(workzoneMap).length}\n- Owner: ${Object.keys(ownerMap).length}\n- Rata-rata per hari: ${averagePerDay.toFixed(1)} SSL\n\n`;
+    
+    msg += 'TOP 15 TEKNISI BULAN INI:\n';
+    Object.entries(teknisiMap).sort((a,b)=>b[1]-a[1]).slice(0,15).forEach(([t,c],i)=>{
+      const medal = i < 3 ? ['🥇', '🥈', '🥉'][i] : `${i+1}.`;
+      const target = targets.TEKNISI[t];
+      msg+=`${medal} ${t}: ${c} SSL${target ? ` (${(c / target * 100).toFixed(0)}% dari ${target})` : ''}\n`;
+    });
+    
+    msg += '\nWORKZONE TERBAIK:\n';
+    Object.entries(workzoneMap).sort((a,b)=>b[1]-a[1]).slice(0,8).forEach(([w,c],i)=>{
+      msg+=`${i+1}. ${w}: ${c} SSL\n`;
+    });
+    
+    msg += formatEvidenceSection(filteredData, await getEvidenceAOs());
+  }
+  
+  // Progres target bulanan per workzone, owner dan teknisi
+  const targetSections = [
+    ['WORKZONE', workzoneMap],
+    ['OWNER', ownerMap],
+    ['TEKNISI', teknisiMap],
+  ].filter(([type]) => Object.keys(targets[type]).length > 0);
+  if (targetSections.length > 0) {
+    msg += `\n🎯 PROGRES TARGET ${formatMonthKey(period)}:\n`;
+    targetSections.forEach(([type, countMap]) => {
+      msg += `${type}:\n`;
+      Object.entries(targets[type]).forEach(([name, target]) => {
+        msg += formatTargetLine(name, countMap[name] || 0, target, period);
       });
+    });
+  }
+  
+  if (options.compare) {
+    msg += formatPeriodComparison(data, 'monthly', customDate, filteredData);
+  }
+  
+  msg += `\nDATA SOURCE: REKAPAN_QUALITY\nGENERATED: ${formatReportTime()}`;
+  return msg;
+}
+
+// === Report: Grafik PNG laporan (opsi grafik) ===
+// Bar SSL per teknisi dan workzone, pie porsi owner, dan garis per hari untuk laporan mingguan/bulanan.
+// period null = seluruh data (/allps). Kosong jika tidak ada data.
+async function buildReportCharts(period, customDate = null, workzones = null) {
+  const data = filterDataByWorkzone(await getSheetData(REKAPAN_SHEET), workzones);
+  const rows = period ? filterDataByPeriod(data, period, customDate) : data.slice(1).filter(row => !isEmptyRow(row));
+  if (rows.length === 0) return [];
+  
+  const today = getZonedToday(new Date(), REPORT_TIMEZONE);
+  const range = period && getPeriodRange(period, customDate ? parseDateArg(customDate) : today);
+  const periodLabel = range ? formatRangeLabel(range) : 'TOTAL';
+  const counts = countRows(rows);
+  const toEntries = (countMap) => Object.entries(countMap)
+    .sort((a, b) => b[1] - a[1])
+    .map(([label, value]) => ({ label, value }));
+  
+  const charts = [
+    {
+      name: 'teknisi',
+      caption: `SSL per teknisi (${periodLabel})`,
+      image: renderBarChart({ title: `SSL PER TEKNISI ${periodLabel}`, entries: toEntries(counts.teknisi) }),
+    },
+    {
+      name: 'workzone',
+      caption: `SSL per workzone (${periodLabel})`,
+      image: renderBarChart({ title: `SSL PER WORKZONE ${periodLabel}`, entries: toEntries(counts.workzone) }),
+    },
+    {
+      name: 'owner',
+      caption: `Porsi owner (${periodLabel})`,
+      image: renderPieChart({ title: `PORSI OWNER ${periodLabel}`, entries: toEntries(counts.owner) }),
+    },
+  ];
+  
+  if (period === 'weekly' || period === 'monthly') {
+    const perDay = {};
+    rows.forEach(row => {
+      const date = parseSheetDate(row[0], REPORT_TIMEZONE);
+      if (date) perDay[formatDateKey(date)] = (perDay[formatDateKey(date)] || 0) + 1;
+    });
+    // Periode berjalan digambar sampai hari ini saja
+    const endDate = today >= range.startDate && today < range.endDate ? today : range.endDate;
+    const points = [];
+    for (let date = new Date(range.startDate); date <= endDate; date.setUTCDate(date.getUTCDate() + 1)) {
+      points.push({ label: date.getUTCDate(), value: perDay[formatDateKey(date)] || 0 });
+    }
+    charts.push({
+      name: 'harian',
+      caption: `Aktivasi per hari (${periodLabel})`,
+      image: renderLineChart({ title: `AKTIVASI PER HARI ${periodLabel}`, points }),
+    });
+  }
+  return charts;
+}
+
+// Jumlah periode /tren: default dan batas atas
+const TREND_DEFAULT_PERIODS = 7;
+const TREND_MAX_PERIODS = 31;
+const TREND_TITLES = {
+  daily: 'HARIAN',
+  weekly: 'MINGGUAN',
+  monthly: 'BULANAN',
+};
+
+// === Report: Tren jumlah aktivasi N periode terakhir (dipakai /tren) ===
+async function buildTrendReport(period, count, workzones = null) {
+  const data = filterDataByWorkzone(await getSheetData(REKAPAN_SHEET), workzones);
+  const today = getZonedToday(new Date(), REPORT_TIMEZONE);
+  const points = [];
+  for (let i = count - 1; i >= 0; i--) {
+    const reference = shiftPeriodReference(period, today, -i);
+    points.push({
+      label: formatRangeLabel(getPeriodRange(period, reference)),
+      count: filterDataByPeriod(data, period, reference).length,
+      ongoing: i === 0,
+    });
+  }
+  const total = points.reduce((sum, p) => sum + p.count, 0);
+  
+  let msg = `📉 <b>TREN AKTIVASI ${TREND_TITLES[period]}</b> (${count} periode)${formatSectorLabel(workzones)}\n`;
+  msg += `<code>${sparkline(points.map(p => p.count))}</code>\n\n`;
+  msg += `<pre>${formatTrendTable(points)}</pre>\n`;
+  msg += `Total: ${total} SSL | Rata-rata: ${(total / count).toFixed(1)} SSL per periode\n`;
+  msg += '* periode berjalan\n';
+  msg += `\nDATA SOURCE: REKAPAN_QUALITY\nGENERATED: ${formatReportTime()}`;
+  return msg;
+}
+
+// Builder laporan per jenis jadwal
+const REPORT_BUILDERS = {
+  daily: buildDailyReport,
+  weekly: buildWeeklyReport,
+  monthly: buildMonthlyReport,
+};
+const REPORT_SCHEDULE_LABELS = {
+  daily: 'Harian, setiap hari',
+  weekly: 'Mingguan, setiap Minggu',
+  monthly: 'Bulanan, hari terakhir bulan',
+};
+
+// === Helper: Ambil daftar jadwal laporan dari sheet JADWAL ===
+async function getReportSchedules() {
+  const data = await getSheetData(JADWAL_SHEET);
+  const schedules = [];
+  for (let i = 1; i < data.length; i++) {
+    if (isEmptyRow(data[i])) continue;
+    schedules.push({
+      rowIndex: i,
+      id: data[i][0],
+      report: (data[i][1] || '').toLowerCase(),
+      time: data[i][2] || '',
+      chatId: data[i][3] || '',
+      createdBy: data[i][4] || '',
+    });
+  }
+  return schedules;
+}
+
+// === Registry command: nama, alias, role, tipe chat, argumen dan bantuan setiap command ===
+// Dispatch di handler pesan, /help dan menu setMyCommands dibuat dari registry ini
+const commandRegistry = createCommandRegistry();
+
+// === /aktivasi: parsing multi-format yang diperbaiki, cek duplikat AO/WORKORDER/SERVICE NO, simpan ===
+commandRegistry.register({
+  name: 'aktivasi',
+  chatTypes: ['private', 'group'],
+  args: [{ name: 'data', rest: true }],
+  description: 'Input data aktivasi (bisa beberapa record sekaligus dalam satu pesan)',
+  help: [
+    'Foto bukti: kirim foto dengan caption <code>/aktivasi [AO]</code> atau balas pesan konfirmasi aktivasi dengan foto',
+    'Admin: upload file CSV/XLSX dengan caption <code>/aktivasi</code> untuk import (kolom sama dengan /export)',
+  ],
+  handler: async ({ msg, argText, chatId, messageId, username, userId, user }) => {
+    // === Upload CSV/XLSX (admin): layout 12 kolom sama dengan hasil /export ===
+    if (msg.document) {
+      if ((user[2] || '').toUpperCase() !== 'ADMIN') {
+        return sendTelegram(chatId, '❌ Upload file aktivasi hanya untuk admin.', { reply_to_message_id: messageId });
+      }
+      const fileName = msg.document.file_name || '';
+      const extension = (fileName.match(/\.(csv|xlsx)$/i) || [])[1];
+      if (!extension) {
+        return sendTelegram(chatId, '❌ File harus berformat .csv atau .xlsx dengan kolom yang sama seperti hasil /export.', { reply_to_message_id: messageId });
+      }
       
-      const dateLabel = customDate ? `Tanggal: ${customDate}` : `Tanggal: ${getTodayDateString()}`;
-      let msg = `📊 <b>LAPORAN AKTIVASI HARIAN</b>\n${dateLabel}\nTotal Aktivasi: ${total} SSL\n\n`;
+      const rows = await readImportRows(await downloadTelegramFile(msg.document.file_id), extension.toLowerCase(), {
+        // Sel tanggal XLSX dibaca sebagai tengah malam UTC -> tanggal ISO
+        formatDate: date => date.toISOString().slice(0, 10),
+      });
+      if (rows.length === 0 || !isImportHeaderValid(rows[0], REKAPAN_HEADERS)) {
+        return sendTelegram(chatId, `❌ Header file tidak sesuai. Kolom yang diharapkan:\n${REKAPAN_HEADERS.join(', ')}`, { reply_to_message_id: messageId });
+      }
+      if (rows.length === 1) {
+        return sendTelegram(chatId, '❌ File tidak berisi data aktivasi.', { reply_to_message_id: messageId });
+      }
       
-      if (total === 0) {
-        msg += '⚠️ Belum ada data aktivasi untuk periode ini.\n\n';
-      } else {
-        msg += `METRICS PERIODE INI:\n- Teknisi Aktif: ${Object.keys(teknisiMap).length}\n- Workzone Tercover: ${Object.keys(workzoneMap).length}\n- Owner: ${Object.keys(ownerMap).length}\n\n`;
-        
-        msg += 'PERFORMA TEKNISI:\n';
-        Object.entries(teknisiMap).sort((a,b)=>b[1]-a[1]).forEach(([t,c],i)=>{
-          msg+=`${i+1}. ${t}: ${c} SSL\n`;
-        });
-        
-        msg += '\nPERFORMA WORKZONE:\n';
-        Object.entries(workzoneMap).sort((a,b)=>b[1]-a[1]).forEach(([w,c],i)=>{
-          msg+=`${i+1}. ${w}: ${c} SSL\n`;
-        });
-        
-        msg += '\nPERFORMA OWNER:\n';
-        Object.entries(ownerMap).sort((a,b)=>b[1]-a[1]).forEach(([o,c],i)=>{
-          msg+=`${i+1}. ${o}: ${c} SSL\n`;
-        });
+      const records = rows.slice(1).map((row, i) => {
+        const parsed = rowToParsed(row);
+        parsed.teknisi = (parsed.teknisi || '').replace('@', '') || user[1];
+        return { label: `Baris ${i + 2}`, parsed, tanggal: row[0] || formatSheetTimestamp(new Date(), REPORT_TIMEZONE) };
+      });
+      const results = await saveAktivasiBatch(records, { id: userId, username }, fileName);
+      return sendTelegram(chatId, formatBulkReport(results, fileName), { reply_to_message_id: messageId });
+    }
+    
+    const inputText = argText;
+    if (!inputText) {
+      return sendTelegram(chatId, 'Silakan kirim data aktivasi setelah /aktivasi.', { reply_to_message_id: messageId });
+    }
+    
+    // === Foto dengan caption "/aktivasi <AO>": tambah bukti ke aktivasi yang sudah tersimpan ===
+    if (msg.photo && /^\S+$/.test(inputText)) {
+      return attachEvidence(msg, inputText, user, username);
+    }
+    
+    // === Beberapa record dalam satu pesan: langsung disimpan, balasan berupa laporan per record ===
+    const blocks = splitAktivasiRecords(inputText);
+    if (blocks.length > 1) {
+      const records = blocks.map((block, i) => {
+        const { parsed, parser, guessed } = parseAktivasiDetailed(block, user, username);
+        return {
+          label: `#${i + 1}`,
+          parsed,
+          parser,
+          guessed,
+          tanggal: formatSheetTimestamp(new Date(), REPORT_TIMEZONE),
+        };
+      });
+      const results = await saveAktivasiBatch(records, { id: userId, username }, 'pesan');
+      let report = formatBulkReport(results, `${blocks.length} record`);
+      if (msg.photo) {
+        report += '\n📷 Foto tidak ditautkan karena pesan berisi beberapa record. Kirim foto dengan caption /aktivasi &lt;AO&gt;.';
       }
+      return sendTelegram(chatId, report, { reply_to_message_id: messageId });
+    }
+    
+    // Parser dipilih dari registry lib/parsers berdasarkan skor deteksi format
+    const { parsed, parser, guessed } = parseAktivasiDetailed(inputText, user, username);
+    
+    // Validasi field wajib dan format sesuai aturan owner
+    const validation = validateAktivasi(parsed, validationRules);
+    if (!validation.valid) {
+      return sendTelegram(chatId, formatValidationErrors(validation.errors), { reply_to_message_id: messageId });
+    }
+    
+    // === Cek duplikat: AO, WORKORDER atau SERVICE NO sudah ada di sheet ===
+    const data = await getSheetData(REKAPAN_SHEET);
+    const duplicate = findDuplicateAktivasi(data, parsed);
+    if (duplicate) {
+      return sendTelegram(chatId, formatDuplicateMessage(data, duplicate), { reply_to_message_id: messageId });
+    }
+    
+    // Simpan sebagai draft, baris baru ditulis setelah user menekan Simpan
+    const draft = aktivasiDrafts.create({
+      parsed,
+      parser,
+      guessed,
+      chatId,
+      userId: msg.from.id,
+      replyToMessageId: messageId,
+      // Foto dengan caption /aktivasi disimpan sebagai bukti setelah draft disimpan
+      photos: msg.photo ? [getPhotoMeta(msg)] : [],
+    });
+    if (msg.media_group_id) {
+      draft.photos.push(...evidenceAlbums.resolve(msg.media_group_id, { draftId: draft.id }).map(getPhotoMeta));
+    }
+    
+    return sendTelegram(chatId, formatAktivasiPreview(draft), {
+      reply_to_message_id: messageId,
+      reply_markup: aktivasiDraftKeyboard(draft.id),
+    });
+  },
+});
+
+// === /cari: menampilkan total dari user tersebut (FIXED) ===
+commandRegistry.register({
+  name: 'cari',
+  chatTypes: ['private', 'group'],
+  groupPermission: true,
+  description: 'Lihat statistik total aktivasi Anda',
+  handler: async ({ chatId, messageId, username, user }) => {
+    const data = await getSheetData(REKAPAN_SHEET);
+    const userTeknisi = (user[1] || username).replace('@', '').toLowerCase();
+    let count = 0;
+    let ownerMap = {}, workzoneMap = {};
+    
+    // Cari semua data dari teknisi yang sesuai
+    for (let i = 1; i < data.length; i++) {
+      const teknisiData = (data[i][11] || '').replace('@', '').toLowerCase();
+      if (teknisiData === userTeknisi) {
+        count++;
+        const owner = (data[i][5] || '-').toUpperCase();
+        const workzone = (data[i][6] || '-').toUpperCase();
+        ownerMap[owner] = (ownerMap[owner] || 0) + 1;
+        workzoneMap[workzone] = (workzoneMap[workzone] || 0) + 1;
+      }
+    }
+    
+    let msg = `📊 <b>STATISTIK ANDA</b>\n👤 Teknisi: ${user[1] || username}\n📈 Total Aktivasi: ${count} SSL\n\n`;
+    
+    if (count === 0) {
+      msg += '⚠️ Belum ada data aktivasi yang tercatat untuk Anda.\n';
+    } else {
+      msg += 'DETAIL PER OWNER:\n';
+      Object.entries(ownerMap).sort((a,b)=>b[1]-a[1]).forEach(([o,c])=>{
+        msg+=`- ${o}: ${c}\n`;
+      });
+      msg += '\nDETAIL PER WORKZONE:\n';
+      Object.entries(workzoneMap).sort((a,b)=>b[1]-a[1]).forEach(([s,c])=>{
+        msg+=`- ${s}: ${c}\n`;
+      });
       
-      msg += `\nDATA SOURCE: REKAPAN_QUALITY\nGENERATED: ${new Date().toLocaleString('id-ID', {timeZone: 'Asia/Jakarta'})} WIB`;
-      return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+      const userRows = data.slice(1).filter(row => (row[11] || '').replace('@', '').toLowerCase() === userTeknisi);
+      msg += formatEvidenceSection(userRows, await getEvidenceAOs(), { listAOs: true, limit: 5 });
+      
+      msg += '\n💾 <i>Tip: Gunakan /exportcari untuk download data lengkap dalam format CSV</i>';
+    }
+    
+    // Progres target bulan berjalan untuk teknisi ini
+    const targetPeriod = getReportMonth();
+    const target = (await getTargets(targetPeriod)).TEKNISI[userTeknisi.toUpperCase()];
+    if (target) {
+      const monthCount = filterDataByPeriod(data, 'monthly').filter(row => (row[11] || '').replace('@', '').toLowerCase() === userTeknisi).length;
+      msg += `\n\n🎯 <b>TARGET ${formatMonthKey(targetPeriod)}:</b>\n`;
+      msg += formatTargetProgress(computeTargetProgress(monthCount, target, targetPeriod, getTodayParts())) + '\n';
     }
     
-    // === /weekly: Laporan mingguan ===
-    else if (/^\/weekly\b/i.test(text)) {
-      if (!(await isAdmin(username))) {
-        return sendTelegram(chatId, '❌ Akses ditolak. Command /weekly hanya untuk admin.', { reply_to_message_id: messageId });
+    msg += `\nUpdated: ${formatReportTime()}`;
+    return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+  },
+});
+
+// === /exportcari: Export detail aktivasi user ke CSV (atau XLSX dengan /exportcari xlsx) ===
+commandRegistry.register({
+  name: 'exportcari',
+  args: [{ name: 'format', choices: ['csv', 'xlsx'] }],
+  description: 'Download data aktivasi Anda dalam format CSV atau Excel',
+  handler: async ({ args, chatId, messageId, username, user }) => {
+    const data = await getSheetData(REKAPAN_SHEET);
+    const userTeknisi = (user[1] || username).replace('@', '').toLowerCase();
+    const userActivations = [];
+    
+    // Headers untuk CSV
+    const headers = ['TANGGAL', 'AO', 'WORKORDER', 'SERVICE_NO', 'CUSTOMER_NAME', 'OWNER', 'WORKZONE', 'SN_ONT', 'NIK_ONT', 'STB_ID', 'NIK_STB', 'TEKNISI'];
+    
+    // Filter data untuk user ini
+    for (let i = 1; i < data.length; i++) {
+      const teknisiData = (data[i][11] || '').replace('@', '').toLowerCase();
+      if (teknisiData === userTeknisi) {
+        userActivations.push(data[i]);
+      }
+    }
+    
+    if (userActivations.length === 0) {
+      return sendTelegram(chatId, '❌ Tidak ada data aktivasi untuk diekspor.', { reply_to_message_id: messageId });
+    }
+    
+    const baseName = `aktivasi_${userTeknisi}_${getZonedParts(new Date(), REPORT_TIMEZONE).dateKey}`;
+    if ((args[0] || '').toLowerCase() === 'xlsx') {
+      const buffer = await buildActivationWorkbook(userActivations, { parseDate: value => parseSheetDate(value, REPORT_TIMEZONE) });
+      return sendXLSXFile(chatId, buffer, `${baseName}.xlsx`, { reply_to_message_id: messageId });
+    }
+    
+    // Generate CSV
+    const csvContent = generateCSV(userActivations, headers);
+    const filename = `${baseName}.csv`;
+    
+    await sendCSVFile(chatId, csvContent, filename, { reply_to_message_id: messageId });
+  },
+});
+
+// === /edit: ubah satu field pada aktivasi milik sendiri (admin: semua baris) ===
+commandRegistry.register({
+  name: 'edit',
+  args: [{ name: 'AO', required: true }, { name: 'FIELD', required: true }, { name: 'nilai', required: true, rest: true }],
+  description: 'Ubah data aktivasi Anda',
+  help: [`Field: ${Object.keys(EDITABLE_FIELDS).join(', ')}`],
+  examples: ['/edit SC123456 SN_ONT ZTEG12345678'],
+  handler: async ({ text, chatId, messageId, username, userId, user }) => {
+    const match = text.match(/^\/edit\s+(\S+)\s+(\S+)\s+([\s\S]+)$/i);
+    if (!match) {
+      return sendTelegram(chatId, `Format: /edit &lt;AO&gt; &lt;FIELD&gt; &lt;nilai baru&gt;\nField: ${Object.keys(EDITABLE_FIELDS).join(', ')}`, { reply_to_message_id: messageId });
+    }
+    
+    const [, ao, fieldInput, rawValue] = match;
+    const field = resolveEditableField(fieldInput);
+    if (!field) {
+      return sendTelegram(chatId, `❌ Field ${escapeHtml(fieldInput)} tidak dikenali. Field yang bisa diubah: ${Object.keys(EDITABLE_FIELDS).join(', ')}`, { reply_to_message_id: messageId });
+    }
+    
+    const colIndex = EDITABLE_FIELDS[field];
+    const newValue = rawValue.trim();
+    const admin = (user[2] || '').toUpperCase() === 'ADMIN';
+    
+    // Baca ulang dan cari baris berdasarkan AO di dalam antrean, agar nomor baris yang ditulis masih benar
+    const result = await runRekapanWrite(async () => {
+      const data = await getFreshSheetData(REKAPAN_SHEET);
+      const rowIndex = findRowIndexByAO(data, ao);
+      if (rowIndex === -1) {
+        return { error: `❌ AO ${escapeHtml(ao)} tidak ditemukan.` };
       }
       
-      const args = text.split(' ').slice(1);
-      const customDate = args.length > 0 ? args[0] : null;
+      const row = data[rowIndex];
+      if (!admin && !isRowOwner(row, user, username)) {
+        return { error: '❌ Akses ditolak. Anda hanya bisa mengubah data aktivasi milik sendiri.' };
+      }
       
-      const data = await getSheetData(REKAPAN_SHEET);
-      const filteredData = filterDataByPeriod(data, 'weekly', customDate);
+      // Validasi format nilai baru sesuai aturan owner baris tersebut
+      const fieldDef = AKTIVASI_FIELDS.find(f => f.name === field);
+      const updated = rowToParsed(row);
+      updated[fieldDef.key] = newValue;
+      const fieldErrors = validateAktivasi(updated, validationRules).errors.filter(e => e.field === fieldDef.key);
+      if (fieldErrors.length > 0) {
+        return { error: formatValidationErrors(fieldErrors) };
+      }
+      // WORKORDER/SERVICE NO baru tidak boleh sama dengan aktivasi lain
+      const duplicate = findDuplicateAktivasi(data, { [fieldDef.key]: newValue }, { skipRowIndex: rowIndex });
+      if (duplicate) {
+        return { error: formatDuplicateMessage(data, duplicate) };
+      }
+      await updateSheetData(REKAPAN_SHEET, `${columnLetter(colIndex)}${rowIndex + 1}`, [[newValue]]);
+      return { row, oldValue: row[colIndex] || '' };
+    });
+    if (result.error) {
+      return sendTelegram(chatId, result.error, { reply_to_message_id: messageId });
+    }
+    const { row, oldValue } = result;
+    await writeAudit({ id: userId, username }, '/edit', { aos: [row[1]], before: { [field]: oldValue }, after: { [field]: newValue } });
+    
+    let msg = `✅ Data AO ${escapeHtml(row[1])} berhasil diubah.\n\n`;
+    msg += `Field: ${field}\n`;
+    msg += `Lama: ${escapeHtml(oldValue || '-')}\n`;
+    msg += `Baru: ${escapeHtml(newValue)}`;
+    return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+  },
+});
+
+// === /hapus: tarik kembali aktivasi milik sendiri (admin: semua baris) ===
+commandRegistry.register({
+  name: 'hapus',
+  args: [{ name: 'AO', required: true }],
+  description: 'Hapus data aktivasi Anda',
+  handler: async ({ args, chatId, messageId, username, userId, user }) => {
+    const ao = args[0];
+    const admin = (user[2] || '').toUpperCase() === 'ADMIN';
+    
+    // Baris dihapus (bukan dikosongkan) di dalam antrean; isi lamanya tersimpan di AUDIT sebagai backup
+    const result = await runRekapanWrite(async () => {
+      const data = await getFreshSheetData(REKAPAN_SHEET);
+      const rowIndex = findRowIndexByAO(data, ao);
+      if (rowIndex === -1) {
+        return { error: `❌ AO ${escapeHtml(ao)} tidak ditemukan.` };
+      }
       
-      let total = filteredData.length;
-      let teknisiMap = {}, workzoneMap = {}, ownerMap = {};
+      const row = data[rowIndex];
+      if (!admin && !isRowOwner(row, user, username)) {
+        return { error: '❌ Akses ditolak. Anda hanya bisa menghapus data aktivasi milik sendiri.' };
+      }
       
-      filteredData.forEach(row => {
-        const teknisi = (row[11] || '-').toUpperCase();
-        const workzone = (row[6] || '-').toUpperCase();
-        const owner = (row[5] || '-').toUpperCase();
+      await deleteSheetRows(REKAPAN_SHEET, [rowIndex]);
+      return { row };
+    });
+    if (result.error) {
+      return sendTelegram(chatId, result.error, { reply_to_message_id: messageId });
+    }
+    const { row } = result;
+    await writeAudit({ id: userId, username }, '/hapus', { aos: [row[1]], before: rowToAuditObject(REKAPAN_HEADERS, row) });
+    
+    let msg = `🗑️ Data AO ${escapeHtml(row[1])} berhasil dihapus.\n\n`;
+    msg += `Lama: ${escapeHtml(formatSheetDateLabel(row[0], REPORT_TIMEZONE) || '-')} | ${escapeHtml(row[4] || '-')} | ${escapeHtml(row[6] || '-')} | SN ${escapeHtml(row[7] || '-')}\n`;
+    msg += `Isi lama tersimpan di sheet ${AUDIT_SHEET}.`;
+    return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+  },
+});
+
+// === /daftar: pendaftaran mandiri, masuk antrean PENDING untuk disetujui admin ===
+commandRegistry.register({
+  name: 'daftar',
+  role: 'public',
+  description: 'Daftar sebagai user baru (menunggu persetujuan admin)',
+  handler: async ({ msg, chatId, messageId, username, userId }) => {
+    // Tanpa @username, nama teknisi memakai Telegram ID agar tetap unik
+    const applicantName = username || `user${userId}`;
+    const data = await getSheetData(USER_SHEET);
+    let rowIndex = data.findIndex((row, i) => i > 0 && (row[4] || '').trim() === String(userId));
+    if (rowIndex === -1) rowIndex = findUserRowIndex(data, applicantName);
+    const status = rowIndex === -1 ? '' : (data[rowIndex][3] || '').toUpperCase();
+    if (status === 'AKTIF') {
+      return sendTelegram(chatId, '✅ Anda sudah terdaftar sebagai user aktif.', { reply_to_message_id: messageId });
+    }
+    if (status === 'PENDING') {
+      return sendTelegram(chatId, '⏳ Pendaftaran Anda masih menunggu persetujuan admin.', { reply_to_message_id: messageId });
+    }
+    if (status === 'NONAKTIF') {
+      return sendTelegram(chatId, '❌ Akun Anda dinonaktifkan. Silakan hubungi admin.', { reply_to_message_id: messageId });
+    }
+    
+    const registration = await upsertUser(applicantName, { role: 'USER', status: 'PENDING', telegramId: String(userId) });
+    await writeAudit({ id: userId, username }, '/daftar', {
+      before: registration.before ? rowToAuditObject(USER_HEADERS, registration.before) : '',
+      after: rowToAuditObject(USER_HEADERS, registration.after),
+    });
+    
+    const notice = `🆕 <b>PENDAFTARAN USER BARU</b>\nUsername: ${username ? '@' + escapeHtml(username) : escapeHtml(applicantName) + ' (tanpa @username)'}\nNama: ${escapeHtml([msg.from.first_name, msg.from.last_name].filter(n => n).join(' '))}\nTelegram ID: ${userId}`;
+    for (const adminChatId of ADMIN_CHAT_IDS) {
+      await sendTelegram(adminChatId, notice, { reply_markup: userApprovalKeyboard(applicantName) }).catch(err => {
+        console.error(`Failed to notify admin chat ${adminChatId}:`, err.message);
+      });
+    }
+    return sendTelegram(chatId, '📨 Pendaftaran terkirim. Tunggu persetujuan admin.', { reply_to_message_id: messageId });
+  },
+});
+
+// === /help: daftar command dibuat dari registry, aturan validasi dari VALIDATION_RULES ===
+commandRegistry.register({
+  name: 'help',
+  aliases: ['start'],
+  role: 'public',
+  description: 'Tampilkan bantuan ini',
+  handler: async ({ chatId, messageId, admin }) => {
+    let helpMsg = '🤖 <b>Bot Rekapan Quality - Panduan Lengkap</b>\n\n';
+    
+    helpMsg += '📝 <b>COMMANDS UNTUK USER:</b>\n';
+    commandRegistry.list({ admin: false }).forEach(command => {
+      helpMsg += formatHelpEntry(command);
+    });
+    helpMsg += '\n';
+    
+    helpMsg += '📊 <b>FORMAT INPUT AKTIVASI:</b>\n';
+    helpMsg += 'Bot mendukung 3 format input:\n';
+    helpMsg += '1. <b>Auto-detect BGES/WMS:</b> Copy paste langsung dari sistem\n';
+    helpMsg += '2. <b>Auto-detect TSEL:</b> Copy paste langsung dari sistem\n';
+    helpMsg += '3. <b>Format Manual:</b>\n';
+    helpMsg += '   AO : SC123456\n';
+    helpMsg += '   SERVICE NO : 12345678901\n';
+    helpMsg += '   CUSTOMER NAME : JOHN DOE\n';
+    helpMsg += '   OWNER : BGES\n';
+    helpMsg += '   WORKZONE : MEDAN\n';
+    helpMsg += '   SN ONT : ZTEG12345678\n';
+    helpMsg += '   NIK ONT : 987654321\n\n';
+    
+    if (admin) {
+      helpMsg += '👑 <b>ADMIN COMMANDS:</b>\n';
+      commandRegistry.list().filter(command => command.role === 'admin').forEach(command => {
+        helpMsg += formatHelpEntry(command);
+      });
+      helpMsg += '• <code>/[username]</code> - Statistik teknisi tertentu\n';
+      helpMsg += '   Contoh: /HKS_HENDRA_16951456\n\n';
+    }
+    
+    helpMsg += '💡 <b>TIPS PENGGUNAAN:</b>\n';
+    describeValidationRules(validationRules).forEach(line => {
+      helpMsg += `• ${escapeHtml(line)}\n`;
+    });
+    helpMsg += '• Bot otomatis mendeteksi format BGES, WMS, dan TSEL\n';
+    helpMsg += '• Gunakan format tanggal: DD/MM/YYYY atau DD-MM-YYYY\n';
+    helpMsg += '• Data duplikat (AO, WORKORDER atau SERVICE NO sama) akan ditolak sistem\n';
+    helpMsg += '• Setelah /aktivasi, periksa preview lalu tekan Simpan (atau Edit field jika ada yang salah)\n';
+    helpMsg += '• Export CSV tersedia untuk backup data personal\n\n';
+    
+    helpMsg += '🚀 <b>Bot siap membantu aktivasi Anda!</b>\n';
+    helpMsg += '📅 Generated: ' + formatReportTime();
+    
+    return sendTelegram(chatId, helpMsg, { reply_to_message_id: messageId });
+  },
+});
+
+// === /ps: Laporan harian detail dengan support tanggal custom ===
+commandRegistry.register({
+  name: 'ps',
+  role: 'admin',
+  chatTypes: ['private', 'group'],
+  groupPermission: true,
+  args: REPORT_ARGS,
+  description: 'Laporan harian',
+  help: ['banding = tambahkan perubahan dibanding hari sebelumnya', 'grafik = kirim grafik PNG per teknisi, workzone dan owner'],
+  examples: ['/ps', '/ps 01/09/2025', '/ps banding', '/ps grafik'],
+  handler: async ({ args, chatId, messageId, workzones }) => {
+    const { customDate, compare, charts } = parseReportArgs(args);
+    
+    const msg = await buildDailyReport(customDate, workzones, { compare });
+    await sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+    if (charts) {
+      await sendChartPhotos(chatId, await buildReportCharts('daily', customDate, workzones), { reply_to_message_id: messageId });
+    }
+  },
+});
+
+// === /weekly: Laporan mingguan ===
+commandRegistry.register({
+  name: 'weekly',
+  role: 'admin',
+  chatTypes: ['private', 'group'],
+  groupPermission: true,
+  args: REPORT_ARGS,
+  description: 'Laporan mingguan',
+  help: ['banding = tambahkan perubahan dibanding minggu sebelumnya', 'grafik = kirim grafik PNG, termasuk aktivasi per hari'],
+  examples: ['/weekly', '/weekly 01/09/2025', '/weekly banding'],
+  handler: async ({ args, chatId, messageId, workzones }) => {
+    const { customDate, compare, charts } = parseReportArgs(args);
+    
+    const msg = await buildWeeklyReport(customDate, workzones, { compare });
+    await sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+    if (charts) {
+      await sendChartPhotos(chatId, await buildReportCharts('weekly', customDate, workzones), { reply_to_message_id: messageId });
+    }
+  },
+});
+
+// === /monthly: Laporan bulanan ===
+commandRegistry.register({
+  name: 'monthly',
+  role: 'admin',
+  chatTypes: ['private', 'group'],
+  groupPermission: true,
+  args: REPORT_ARGS,
+  description: 'Laporan bulanan',
+  help: ['banding = tambahkan perubahan dibanding bulan sebelumnya', 'grafik = kirim grafik PNG, termasuk aktivasi per hari'],
+  examples: ['/monthly', '/monthly 01/09/2025', '/monthly banding', '/monthly grafik'],
+  handler: async ({ args, chatId, messageId, workzones }) => {
+    const { customDate, compare, charts } = parseReportArgs(args);
+    
+    const msg = await buildMonthlyReport(customDate, workzones, { compare });
+    await sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+    if (charts) {
+      await sendChartPhotos(chatId, await buildReportCharts('monthly', customDate, workzones), { reply_to_message_id: messageId });
+    }
+  },
+});
+
+// === /tren: Tren aktivasi beberapa periode terakhir ===
+commandRegistry.register({
+  name: 'tren',
+  role: 'admin',
+  chatTypes: ['private', 'group'],
+  groupPermission: true,
+  args: [{ name: 'periode', required: true, choices: REPORT_PERIODS }, { name: 'n' }],
+  description: 'Tren aktivasi beberapa periode terakhir',
+  help: [`n = jumlah periode, 2-${TREND_MAX_PERIODS} (default ${TREND_DEFAULT_PERIODS})`],
+  examples: ['/tren daily 14', '/tren weekly 8'],
+  handler: async ({ args, chatId, messageId, workzones }) => {
+    const period = args[0].toLowerCase();
+    const count = args[1] ? parseInt(args[1]) : TREND_DEFAULT_PERIODS;
+    if (!/^\d*$/.test(args[1] || '') || !(count >= 2 && count <= TREND_MAX_PERIODS)) {
+      return sendTelegram(chatId, `❌ Jumlah periode harus angka 2-${TREND_MAX_PERIODS}.`, { reply_to_message_id: messageId });
+    }
+    
+    const msg = await buildTrendReport(period, count, workzones);
+    return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+  },
+});
+
+// === /topteknisi: Ranking teknisi terbaik ===
+commandRegistry.register({
+  name: 'topteknisi',
+  role: 'admin',
+  chatTypes: ['private', 'group'],
+  groupPermission: true,
+  args: [{ name: 'periode', choices: ['all', 'daily', 'weekly', 'monthly'] }, { name: 'tanggal' }],
+  description: 'Ranking teknisi',
+  examples: ['/topteknisi monthly 01/09/2025'],
+  handler: async ({ args, chatId, messageId, workzones }) => {
+    const period = args[0] || 'all'; // all, daily, weekly, monthly
+    const customDate = args[1] || null;
+    
+    const data = filterDataByWorkzone(await getSheetData(REKAPAN_SHEET), workzones);
+    let filteredData;
+    
+    switch (period.toLowerCase()) {
+      case 'daily':
+        filteredData = filterDataByPeriod(data, 'daily', customDate);
+        break;
+      case 'weekly':
+        filteredData = filterDataByPeriod(data, 'weekly', customDate);
+        break;
+      case 'monthly':
+        filteredData = filterDataByPeriod(data, 'monthly', customDate);
+        break;
+      default:
+        filteredData = data.slice(1).filter(row => !isEmptyRow(row)); // All data
+    }
+    
+    let teknisiMap = {};
+    filteredData.forEach(row => {
+      const teknisi = (row[11] || '-').toUpperCase();
+      if (teknisi !== '-') {
         teknisiMap[teknisi] = (teknisiMap[teknisi] || 0) + 1;
-        workzoneMap[workzone] = (workzoneMap[workzone] || 0) + 1;
-        ownerMap[owner] = (ownerMap[owner] || 0) + 1;
+      }
+    });
+    
+    const sortedTeknisi = Object.entries(teknisiMap).sort((a,b) => b[1] - a[1]);
+    // Target bulanan hanya relevan untuk ranking periode bulanan
+    const targetPeriod = period.toLowerCase() === 'monthly' ? getReportMonth(customDate) : null;
+    const teknisiTargets = targetPeriod ? (await getTargets(targetPeriod)).TEKNISI : {};
+    const periodLabel = {
+      daily: customDate ? `Harian (${customDate})` : 'Hari ini',
+      weekly: customDate ? `Mingguan (${customDate})` : 'Minggu ini',
+      monthly: customDate ? `Bulanan (${customDate})` : 'Bulan ini',
+      all: 'Keseluruhan'
+    };
+    
+    let msg = `🏆 <b>RANKING TEKNISI TERBAIK</b>\nPeriode: ${periodLabel[period.toLowerCase()] || 'Keseluruhan'}${formatSectorLabel(workzones)}\n\n`;
+    
+    if (sortedTeknisi.length === 0) {
+      msg += '⚠️ Belum ada data teknisi untuk periode ini.\n';
+    } else {
+      msg += `Total Teknisi Aktif: ${sortedTeknisi.length}\n\n`;
+      msg += '🏅 <b>TOP 20 TEKNISI:</b>\n';
+      
+      sortedTeknisi.slice(0, 20).forEach(([teknisi, count], index) => {
+        let icon = '';
+        if (index === 0) icon = '🥇';
+        else if (index === 1) icon = '🥈';
+        else if (index === 2) icon = '🥉';
+        else icon = `${index + 1}.`;
+        
+        msg += `${icon} ${teknisi}: <b>${count} SSL</b>\n`;
+        if (teknisiTargets[teknisi]) {
+          msg += `   🎯 ${formatTargetProgress(computeTargetProgress(count, teknisiTargets[teknisi], targetPeriod, getTodayParts()))}\n`;
+        }
       });
       
-      const periodLabel = customDate ? `Minggu dari: ${customDate}` : 'Minggu ini';
-      let msg = `📈 <b>LAPORAN AKTIVASI MINGGUAN</b>\n${periodLabel}\nTotal Aktivasi: ${total} SSL\n\n`;
-      
-      if (total === 0) {
-        msg += '⚠️ Belum ada data aktivasi untuk periode ini.\n\n';
+      if (sortedTeknisi.length > 20) {
+        msg += `\n... dan ${sortedTeknisi.length - 20} teknisi lainnya`;
+      }
+    }
+    
+    msg += `\nDATA SOURCE: REKAPAN_QUALITY\nGENERATED: ${formatReportTime()}`;
+    return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+  },
+});
+
+// === /allps: breakdown owner, sektor, top teknisi ===
+commandRegistry.register({
+  name: 'allps',
+  role: 'admin',
+  chatTypes: ['private', 'group'],
+  groupPermission: true,
+  args: [{ name: 'opsi', choices: ['grafik'] }],
+  description: 'Ringkasan total keseluruhan',
+  help: ['grafik = kirim grafik PNG per teknisi, workzone dan owner'],
+  handler: async ({ args, chatId, messageId, workzones }) => {
+    const data = filterDataByWorkzone(await getSheetData(REKAPAN_SHEET), workzones);
+    const rows = data.slice(1).filter(row => !isEmptyRow(row));
+    let total = rows.length;
+    let ownerMap = {}, sektorMap = {}, teknisiMap = {};
+    
+    for (let i = 0; i < rows.length; i++) {
+      const owner = (rows[i][5] || '-').toUpperCase();
+      const sektor = (rows[i][6] || '-').toUpperCase();
+      const teknisi = (rows[i][11] || '-').toUpperCase();
+      ownerMap[owner] = (ownerMap[owner] || 0) + 1;
+      sektorMap[sektor] = (sektorMap[sektor] || 0) + 1;
+      teknisiMap[teknisi] = (teknisiMap[teknisi] || 0) + 1;
+    }
+    
+    let msg = `📊 <b>RINGKASAN AKTIVASI TOTAL</b>${formatSectorLabel(workzones)}\n`;
+    msg += `TOTAL KESELURUHAN: ${total} SSL\n\nBERDASARKAN OWNER:\n`;
+    Object.entries(ownerMap).sort((a,b)=>b[1]-a[1]).forEach(([o,c])=>{
+      msg+=`- ${o}: ${c}\n`;
+    });
+    msg += '\nBERDASARKAN SEKTOR/WORKZONE:\n';
+    Object.entries(sektorMap).sort((a,b)=>b[1]-a[1]).forEach(([s,c])=>{
+      msg+=`- ${s}: ${c}\n`;
+    });
+    
+    let teknisiArr = Object.entries(teknisiMap).map(([name,count])=>({name,count}));
+    teknisiArr.sort((a,b)=>b.count-a.count);
+    msg += '\nTOP TEKNISI:\n';
+    teknisiArr.slice(0,5).forEach((t,i)=>{
+      msg+=`${i+1}. ${t.name}: ${t.count}\n`;
+    });
+    await sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+    if (args[0]) {
+      await sendChartPhotos(chatId, await buildReportCharts(null, null, workzones), { reply_to_message_id: messageId });
+    }
+  },
+});
+
+// === /export: Export data semua teknisi per periode/rentang tanggal dengan filter (admin) ===
+commandRegistry.register({
+  name: 'export',
+  role: 'admin',
+  args: [{ name: 'periode|dari sampai' }, { name: 'filter' }, { name: 'csv' }],
+  description: 'Download Excel/CSV semua teknisi',
+  help: ['Periode: daily, weekly, monthly, all. Filter: owner=, workzone=, teknisi='],
+  examples: ['/export 01/09/2025 15/09/2025 owner=TSEL workzone=MDN'],
+  handler: async ({ args, chatId, messageId }) => {
+    // Argumen: posisi (periode/tanggal), filter key=value, dan format csv|xlsx
+    const filters = {};
+    const positional = [];
+    let format = 'xlsx';
+    args.forEach(arg => {
+      const kv = arg.match(/^(owner|workzone|teknisi)=(.+)$/i);
+      if (kv) filters[kv[1].toLowerCase()] = kv[2];
+      else if (/^(csv|xlsx)$/i.test(arg)) format = arg.toLowerCase();
+      else positional.push(arg);
+    });
+    
+    const data = await getSheetData(REKAPAN_SHEET);
+    const period = (positional[0] || '').toLowerCase();
+    let rows, label;
+    if (['daily', 'weekly', 'monthly'].includes(period)) {
+      rows = filterDataByPeriod(data, period, positional[1] || null);
+      label = `${period}_${positional[1] || getZonedParts(new Date(), REPORT_TIMEZONE).dateKey}`;
+    } else if (period === 'all') {
+      rows = data.slice(1).filter(row => !isEmptyRow(row));
+      label = 'all';
+    } else {
+      const range = parseDateRange(positional[0], positional[1]);
+      if (!range) {
+        let usage = 'Format:\n';
+        usage += '/export &lt;daily|weekly|monthly|all&gt; [tanggal] [filter] [csv]\n';
+        usage += '/export &lt;dari&gt; &lt;sampai&gt; [filter] [csv]\n';
+        usage += 'Filter: owner=TSEL workzone=MDN,BLW teknisi=username\n';
+        usage += 'Contoh: /export 01/09/2025 15/09/2025 owner=TSEL workzone=MDN';
+        return sendTelegram(chatId, usage, { reply_to_message_id: messageId });
+      }
+      rows = filterDataByRange(data, range.startDate, range.endDate);
+      const fmt = (d) => `${String(d.getUTCDate()).padStart(2, '0')}-${String(d.getUTCMonth() + 1).padStart(2, '0')}-${d.getUTCFullYear()}`;
+      label = `${fmt(range.startDate)}_${fmt(range.endDate)}`;
+    }
+    
+    rows = filterRowsByFields(rows, filters);
+    if (rows.length === 0) {
+      return sendTelegram(chatId, '❌ Tidak ada data aktivasi yang cocok untuk diekspor.', { reply_to_message_id: messageId });
+    }
+    
+    const filterSuffix = Object.values(filters).map(v => `_${v.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '')}`).join('');
+    const baseName = `rekapan_${label.replace(/\//g, '-')}${filterSuffix}`;
+    if (format === 'csv') {
+      const headers = ['TANGGAL', 'AO', 'WORKORDER', 'SERVICE_NO', 'CUSTOMER_NAME', 'OWNER', 'WORKZONE', 'SN_ONT', 'NIK_ONT', 'STB_ID', 'NIK_STB', 'TEKNISI'];
+      return sendCSVFile(chatId, generateCSV(rows, headers), `${baseName}.csv`, { reply_to_message_id: messageId });
+    }
+    const buffer = await buildActivationWorkbook(rows, { parseDate: value => parseSheetDate(value, REPORT_TIMEZONE) });
+    return sendXLSXFile(chatId, buffer, `${baseName}.xlsx`, { reply_to_message_id: messageId });
+  },
+});
+
+// === /clear: hapus duplikat AO (preview dulu, backup sebelum hapus, bisa undo) ===
+commandRegistry.register({
+  name: 'clear',
+  role: 'admin',
+  args: [{ name: 'preview|apply|undo' }, { name: 'first|latest|complete' }],
+  description: 'Hapus data duplikat AO',
+  examples: ['/clear preview latest', '/clear apply latest', '/clear undo'],
+  handler: async ({ args, chatId, messageId, username, userId }) => {
+    const options = args.map(a => a.toLowerCase());
+    const action = ['preview', 'apply', 'undo'].includes(options[0]) ? options.shift() : 'preview';
+    
+    if (action === 'undo') {
+      const result = await runRekapanWrite(() => restoreClearBackup(options[0]));
+      if (!result) {
+        return sendTelegram(chatId, `❌ Backup ${options[0] ? escapeHtml(options[0]) + ' ' : ''}tidak ditemukan di sheet ${CLEAR_BACKUP_SHEET}.`, { reply_to_message_id: messageId });
+      }
+      if (result.count > 0) {
+        await writeAudit({ id: userId, username }, '/clear undo', { aos: result.aos, after: { BATCH_ID: result.batchId, DIKEMBALIKAN: result.count, DILEWATI: result.skipped } });
+      }
+      let reply = `↩️ ${result.count} baris dari backup ${escapeHtml(result.batchId)} dikembalikan ke akhir sheet ${REKAPAN_SHEET}.`;
+      if (result.skipped > 0) {
+        reply += `\n⚠️ ${result.skipped} baris dilewati karena AO, WORKORDER atau SERVICE NO-nya sudah tersimpan lagi setelah /clear. Baris tersebut tetap di sheet ${CLEAR_BACKUP_SHEET}.`;
+      }
+      return sendTelegram(chatId, reply, { reply_to_message_id: messageId });
+    }
+    
+    const strategy = options[0] || 'first';
+    if (!KEEP_STRATEGIES[strategy]) {
+      return sendTelegram(chatId, 'Format: /clear [preview|apply] [first|latest|complete] atau /clear undo [id backup]', { reply_to_message_id: messageId });
+    }
+    
+    if (action === 'preview') {
+      const data = await getSheetData(REKAPAN_SHEET);
+      const plan = planDeduplication(data, { strategy });
+      if (plan.groups.length === 0) {
+        return sendTelegram(chatId, '✅ Sheet sudah bersih, tidak ada data duplikat.', { reply_to_message_id: messageId });
+      }
+      return sendTelegram(chatId, formatClearPreview(data, plan, strategy), { reply_to_message_id: messageId });
+    }
+    
+    // Baca, backup dan hapus di dalam antrean agar index baris tidak bergeser oleh /aktivasi
+    const result = await runRekapanWrite(async () => {
+      const data = await getFreshSheetData(REKAPAN_SHEET);
+      const plan = planDeduplication(data, { strategy });
+      if (plan.removeIndexes.length === 0) return null;
+      
+      const batchId = crypto.randomBytes(3).toString('hex');
+      const removedAt = new Date().toISOString();
+      await appendSheetRows(CLEAR_BACKUP_SHEET, plan.removeIndexes.map(i =>
+        [batchId, removedAt, username, String(i + 1), ...REKAPAN_HEADERS.map((h, c) => data[i][c] || '')]
+      ));
+      await deleteSheetRows(REKAPAN_SHEET, plan.removeIndexes);
+      return {
+        batchId,
+        count: plan.removeIndexes.length,
+        groups: plan.groups.length,
+        aos: plan.groups.map(g => g.key),
+        rows: plan.removeIndexes.map(i => i + 1),
+      };
+    });
+    if (!result) {
+      return sendTelegram(chatId, '✅ Sheet sudah bersih, tidak ada data duplikat.', { reply_to_message_id: messageId });
+    }
+    await writeAudit({ id: userId, username }, `/clear apply ${strategy}`, {
+      aos: result.aos,
+      before: { BARIS_DIHAPUS: result.rows.join(',') },
+      after: { BATCH_ID: result.batchId, DIHAPUS: result.count },
+    });
+    
+    let msg = `✅ Berhasil menghapus ${result.count} baris duplikat dari ${result.groups} AO (yang disimpan: ${KEEP_STRATEGIES[strategy]}).\n`;
+    msg += `💾 Backup: sheet ${CLEAR_BACKUP_SHEET}, id <code>${result.batchId}</code>\n`;
+    msg += `Batalkan dengan /clear undo ${result.batchId}`;
+    return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+  },
+});
+
+// === /audit: cari jejak audit berdasarkan AO/username dan tanggal (admin) ===
+commandRegistry.register({
+  name: 'audit',
+  role: 'admin',
+  args: [{ name: 'AO|username' }, { name: 'tanggal' }],
+  description: 'Riwayat perubahan data dan aksi admin',
+  examples: ['/audit SC123456', '/audit tek_budi 01/09/2025'],
+  handler: async ({ args, chatId, messageId }) => {
+    let query = '';
+    let date = null;
+    for (const arg of args) {
+      const parsedDate = parseDateArg(arg);
+      if (parsedDate) {
+        date = parsedDate;
+      } else if (!query) {
+        query = arg.replace('@', '').toUpperCase();
       } else {
-        msg += `METRICS MINGGUAN:\n- Teknisi Aktif: ${Object.keys(teknisiMap).length}\n- Workzone Tercover: ${Object.keys(workzoneMap).length}\n- Owner: ${Object.keys(ownerMap).length}\n\n`;
-        
-        msg += 'TOP 10 TEKNISI MINGGU INI:\n';
-        Object.entries(teknisiMap).sort((a,b)=>b[1]-a[1]).slice(0,10).forEach(([t,c],i)=>{
-          const medal = i < 3 ? ['🥇', '🥈', '🥉'][i] : `${i+1}.`;
-          msg+=`${medal} ${t}: ${c} SSL\n`;
-        });
-        
-        msg += '\nWORKZONE TERBAIK:\n';
-        Object.entries(workzoneMap).sort((a,b)=>b[1]-a[1]).slice(0,5).forEach(([w,c],i)=>{
-          msg+=`${i+1}. ${w}: ${c} SSL\n`;
-        });
+        return sendTelegram(chatId, 'Format: /audit [AO|username] [tanggal]\nContoh: /audit SC123456, /audit tek_budi 01/09/2025', { reply_to_message_id: messageId });
       }
-      
-      msg += `\nDATA SOURCE: REKAPAN_QUALITY\nGENERATED: ${new Date().toLocaleString('id-ID', {timeZone: 'Asia/Jakarta'})} WIB`;
-      return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
     }
     
-    // === /monthly: Laporan bulanan ===
-    else if (/^\/monthly\b/i.test(text)) {
-      if (!(await isAdmin(username))) {
-        return sendTelegram(chatId, '❌ Akses ditolak. Command /monthly hanya untuk admin.', { reply_to_message_id: messageId });
-      }
-      
-      const args = text.split(' ').slice(1);
-      const customDate = args.length > 0 ? args[0] : null;
-      
-      const data = await getSheetData(REKAPAN_SHEET);
-      const filteredData = filterDataByPeriod(data, 'monthly', customDate);
-      
-      let total = filteredData.length;
-      let teknisiMap = {}, workzoneMap = {}, ownerMap = {};
-      
-      filteredData.forEach(row => {
-        const teknisi = (row[11] || '-').toUpperCase();
-        const workzone = (row[6] || '-').toUpperCase();
-        const owner = (row[5] || '-').toUpperCase();
-        teknisiMap[teknisi] = (teknisiMap[teknisi] || 0) + 1;
-        workzoneMap[workzone] = (workzoneMap[workzone] || 0) + 1;
-        ownerMap[owner] = (ownerMap[owner] || 0) + 1;
+    const data = await getSheetData(AUDIT_SHEET);
+    const dateKey = date ? formatDateKey(date) : null;
+    const entries = data.slice(1).filter(row => {
+      if (isEmptyRow(row)) return false;
+      if (dateKey) {
+        // WAKTU kosong/rusak (misalnya diedit manual) tidak cocok dengan tanggal mana pun
+        if (isNaN(new Date(row[0]))) return false;
+        if (getZonedParts(new Date(row[0]), REPORT_TIMEZONE).dateKey !== dateKey) return false;
+      }
+      if (!query) return true;
+      const aos = (row[4] || '').toUpperCase().split(',');
+      // Username bisa pelaku (kolom USERNAME) atau user/teknisi yang datanya diubah
+      return aos.includes(query) || (row[2] || '').toUpperCase() === query ||
+        `${row[5] || ''} ${row[6] || ''}`.toUpperCase().includes(`"${query}"`);
+    });
+    
+    if (entries.length === 0) {
+      return sendTelegram(chatId, '📭 Tidak ada catatan audit yang cocok.', { reply_to_message_id: messageId });
+    }
+    
+    const maxEntries = 20;
+    let reply = `🧾 <b>AUDIT LOG</b>${query ? ` ${escapeHtml(query)}` : ''}${date ? ` ${formatRangeLabel({ startDate: date, endDate: date })}` : ''}\n`;
+    reply += `${entries.length} catatan${entries.length > maxEntries ? `, ${maxEntries} terbaru` : ''}\n\n`;
+    entries.slice(-maxEntries).reverse().forEach(row => {
+      const waktu = isNaN(new Date(row[0])) ? (row[0] || '-') : new Date(row[0]).toLocaleString('id-ID', { timeZone: REPORT_TIMEZONE });
+      reply += `🕒 ${escapeHtml(waktu)} | @${escapeHtml(row[2] || row[1] || '-')} | <b>${escapeHtml(row[3])}</b>${row[4] ? ` | AO ${escapeHtml(row[4])}` : ''}\n`;
+      if (row[5]) reply += `   Sebelum: <code>${escapeHtml(row[5].substring(0, 300))}</code>\n`;
+      if (row[6]) reply += `   Sesudah: <code>${escapeHtml(row[6].substring(0, 300))}</code>\n`;
+    });
+    return sendTelegram(chatId, reply, { reply_to_message_id: messageId });
+  },
+});
+
+// === /foto: kirim ulang foto bukti sebuah AO (admin) ===
+commandRegistry.register({
+  name: 'foto',
+  role: 'admin',
+  args: [{ name: 'AO', required: true }],
+  description: 'Lihat foto bukti aktivasi',
+  examples: ['/foto SC123456'],
+  handler: async ({ args, chatId, messageId }) => {
+    const ao = args[0].toUpperCase();
+    
+    const photos = (await getSheetData(FOTO_SHEET)).slice(1).filter(row => (row[0] || '').toUpperCase().trim() === ao);
+    if (photos.length === 0) {
+      const exists = findRowIndexByAO(await getSheetData(REKAPAN_SHEET), ao) !== -1;
+      return sendTelegram(chatId, exists
+        ? `📭 AO ${escapeHtml(ao)} belum punya foto bukti (belum lengkap).`
+        : `❌ AO ${escapeHtml(ao)} tidak ditemukan.`, { reply_to_message_id: messageId });
+    }
+    
+    // sendMediaGroup menerima maksimal 10 foto per album
+    for (let i = 0; i < photos.length; i += 10) {
+      const media = photos.slice(i, i + 10).map(row => {
+        const sentAt = row[7] ? new Date(row[7]).toLocaleString('id-ID', { timeZone: REPORT_TIMEZONE }) : '-';
+        return {
+          type: 'photo',
+          media: row[1],
+          caption: `AO ${ao} | @${row[5] || '-'} | ${sentAt}${row[4] ? `\n${row[4]}` : ''}`,
+        };
       });
-      
-      const periodLabel = customDate ? `Bulan dari: ${customDate}` : 'Bulan ini';
-      let msg = `📅 <b>LAPORAN AKTIVASI BULANAN</b>\n${periodLabel}\nTotal Aktivasi: ${total} SSL\n\n`;
-      
-      if (total === 0) {
-        msg += '⚠️ Belum ada data aktivasi untuk periode ini.\n\n';
+      if (media.length === 1) {
+        await bot.sendPhoto(chatId, media[0].media, { caption: media[0].caption, reply_to_message_id: messageId });
       } else {
-        msg += `METRICS BULANAN:\n- Teknisi Aktif: ${Object.keys(teknisiMap).length}\n- Workzone Tercover: ${Object.keys(workzoneMap).length}\n- Owner: ${Object.keys(ownerMap).length}\n- Rata-rata per hari: ${(total / 30).toFixed(1)} SSL\n\n`;
-        
-        msg += 'TOP 15 TEKNISI BULAN INI:\n';
-        Object.entries(teknisiMap).sort((a,b)=>b[1]-a[1]).slice(0,15).forEach(([t,c],i)=>{
-          const medal = i < 3 ? ['🥇', '🥈', '🥉'][i] : `${i+1}.`;
-          msg+=`${medal} ${t}: ${c} SSL\n`;
-        });
-        
-        msg += '\nWORKZONE TERBAIK:\n';
-        Object.entries(workzoneMap).sort((a,b)=>b[1]-a[1]).slice(0,8).forEach(([w,c],i)=>{
-          msg+=`${i+1}. ${w}: ${c} SSL\n`;
-        });
+        await bot.sendMediaGroup(chatId, media, { reply_to_message_id: messageId });
       }
-      
-      msg += `\nDATA SOURCE: REKAPAN_QUALITY\nGENERATED: ${new Date().toLocaleString('id-ID', {timeZone: 'Asia/Jakarta'})} WIB`;
-      return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
     }
+    return;
+  },
+});
+
+// === /migrasi: ubah TANGGAL format lama ("Senin, 1 September 2025") ke tanggal ISO (admin) ===
+commandRegistry.register({
+  name: 'migrasi',
+  role: 'admin',
+  args: [{ name: 'apply', choices: ['apply'] }],
+  description: 'Ubah TANGGAL format lama ke format ISO',
+  handler: async ({ args, chatId, messageId, username, userId }) => {
+    const apply = (args[0] || '').toLowerCase() === 'apply';
+    const result = await runRekapanWrite(async () => {
+      const data = apply ? await getFreshSheetData(REKAPAN_SHEET) : await getSheetData(REKAPAN_SHEET);
+      const column = [];
+      const invalidRows = [];
+      let converted = 0;
+      for (let i = 1; i < data.length; i++) {
+        const value = (data[i][0] || '').trim();
+        let next = data[i][0] || '';
+        if (value && !/^\d{4}-\d{2}-\d{2}(?:$|T)/.test(value)) {
+          const iso = toISODate(value, REPORT_TIMEZONE);
+          if (iso) {
+            next = iso;
+            converted++;
+          } else {
+            invalidRows.push(i + 1);
+          }
+        }
+        column.push([next]);
+      }
+      // Satu update kolom A agar tidak menghabiskan kuota write per baris
+      if (apply && converted > 0) {
+        await updateSheetData(REKAPAN_SHEET, `A2:A${data.length}`, column);
+      }
+      return { converted, invalidRows };
+    });
     
-    // === /topteknisi: Ranking teknisi terbaik ===
-    else if (/^\/topteknisi\b/i.test(text)) {
-      if (!(await isAdmin(username))) {
-        return sendTelegram(chatId, '❌ Akses ditolak. Command /topteknisi hanya untuk admin.', { reply_to_message_id: messageId });
+    let reply = `🗓 <b>MIGRASI TANGGAL</b>\n`;
+    if (apply) {
+      reply += `✅ ${result.converted} baris format lama diubah ke tanggal ISO (YYYY-MM-DD).\n`;
+      if (result.converted > 0) {
+        await writeAudit({ id: userId, username }, '/migrasi apply', { after: { DIUBAH: result.converted } });
       }
-      
-      const args = text.split(' ').slice(1);
-      const period = args[0] || 'all'; // all, daily, weekly, monthly
-      const customDate = args[1] || null;
-      
-      const data = await getSheetData(REKAPAN_SHEET);
-      let filteredData;
-      
-      switch (period.toLowerCase()) {
-        case 'daily':
-          filteredData = filterDataByPeriod(data, 'daily', customDate);
-          break;
-        case 'weekly':
-          filteredData = filterDataByPeriod(data, 'weekly', customDate);
-          break;
-        case 'monthly':
-          filteredData = filterDataByPeriod(data, 'monthly', customDate);
-          break;
-        default:
-          filteredData = data.slice(1); // All data
+    } else if (result.converted === 0) {
+      reply += `Tidak ada baris TANGGAL format lama.\n`;
+    } else {
+      reply += `${result.converted} baris format lama akan diubah ke tanggal ISO (YYYY-MM-DD). Jam input data lama tidak tercatat.\n`;
+    }
+    if (result.invalidRows.length > 0) {
+      reply += `⚠️ ${result.invalidRows.length} baris tidak dikenali dan dibiarkan: baris ${result.invalidRows.slice(0, 20).join(', ')}${result.invalidRows.length > 20 ? ', ...' : ''}\n`;
+    }
+    if (!apply && result.converted > 0) {
+      reply += '\nJalankan /migrasi apply untuk mengubah data.';
+    }
+    return sendTelegram(chatId, reply, { reply_to_message_id: messageId });
+  },
+});
+
+// === /debugparse: tampilkan hasil parser /aktivasi tanpa menyimpan (admin) ===
+commandRegistry.register({
+  name: 'debugparse',
+  role: 'admin',
+  args: [{ name: 'teks', required: true, rest: true }],
+  description: 'Cek hasil parser /aktivasi tanpa menyimpan',
+  help: ['Menampilkan format terdeteksi, aturan per field dan hasil validasi'],
+  handler: async ({ argText, chatId, messageId, username, user }) => {
+    const blocks = splitAktivasiRecords(argText.replace(/^\/aktivasi\S*\s*/i, ''));
+    const data = await getSheetData(REKAPAN_SHEET);
+    let msg = '🔍 <b>DEBUG PARSE</b> (tidak disimpan)\n';
+    if (blocks.length > 1) msg += `Pesan berisi ${blocks.length} record, di-parse terpisah.\n`;
+    blocks.forEach((block, i) => {
+      const result = parseAktivasiDetailed(block, user, username);
+      const duplicate = findDuplicateAktivasi(data, result.parsed);
+      msg += blocks.length > 1 ? `\n<b>Record #${i + 1}</b>\n` : '\n';
+      msg += formatParseTrace(result, validateAktivasi(result.parsed, validationRules), duplicate && describeDuplicate(data, duplicate));
+    });
+    return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+  },
+});
+
+// === /refresh: buang cache sheet agar data dibaca ulang (admin) ===
+commandRegistry.register({
+  name: 'refresh',
+  role: 'admin',
+  description: 'Muat ulang data sheet (setelah edit manual di Google Sheets)',
+  handler: async ({ chatId, messageId }) => {
+    const cleared = storage.invalidate();
+    return sendTelegram(chatId, `🔄 Cache dikosongkan (${cleared} sheet). Data berikutnya dibaca ulang dari storage.`, { reply_to_message_id: messageId });
+  },
+});
+
+// === /user: kelola user tanpa edit sheet USER manual (admin) ===
+commandRegistry.register({
+  name: 'user',
+  role: 'admin',
+  args: [{ name: 'add|nonaktif|role|list|pending' }, { name: 'username' }],
+  description: 'Kelola user',
+  examples: ['/user add tek_budi', '/user role tek_budi ADMIN', '/user nonaktif tek_budi'],
+  handler: async ({ args, chatId, messageId, username, userId }) => {
+    const action = (args[0] || 'list').toLowerCase();
+    const target = (args[1] || '').replace('@', '');
+    
+    if (action === 'add') {
+      const role = (args[2] || 'USER').toUpperCase();
+      if (!target || !USER_ROLES.includes(role)) {
+        return sendTelegram(chatId, 'Format: /user add &lt;username&gt; [ADMIN|USER]', { reply_to_message_id: messageId });
       }
-      
-      let teknisiMap = {};
-      filteredData.forEach(row => {
-        const teknisi = (row[11] || '-').toUpperCase();
-        if (teknisi !== '-') {
-          teknisiMap[teknisi] = (teknisiMap[teknisi] || 0) + 1;
-        }
+      const result = await upsertUser(target, { role, status: 'AKTIF' });
+      await writeAudit({ id: userId, username }, '/user add', {
+        before: result.before ? rowToAuditObject(USER_HEADERS, result.before) : '',
+        after: rowToAuditObject(USER_HEADERS, result.after),
       });
-      
-      const sortedTeknisi = Object.entries(teknisiMap).sort((a,b) => b[1] - a[1]);
-      const periodLabel = {
-        daily: customDate ? `Harian (${customDate})` : 'Hari ini',
-        weekly: customDate ? `Mingguan (${customDate})` : 'Minggu ini',
-        monthly: customDate ? `Bulanan (${customDate})` : 'Bulan ini',
-        all: 'Keseluruhan'
-      };
-      
-      let msg = `🏆 <b>RANKING TEKNISI TERBAIK</b>\nPeriode: ${periodLabel[period.toLowerCase()] || 'Keseluruhan'}\n\n`;
-      
-      if (sortedTeknisi.length === 0) {
-        msg += '⚠️ Belum ada data teknisi untuk periode ini.\n';
-      } else {
-        msg += `Total Teknisi Aktif: ${sortedTeknisi.length}\n\n`;
-        msg += '🏅 <b>TOP 20 TEKNISI:</b>\n';
-        
-        sortedTeknisi.slice(0, 20).forEach(([teknisi, count], index) => {
-          let icon = '';
-          if (index === 0) icon = '🥇';
-          else if (index === 1) icon = '🥈';
-          else if (index === 2) icon = '🥉';
-          else icon = `${index + 1}.`;
-          
-          msg += `${icon} ${teknisi}: <b>${count} SSL</b>\n`;
-        });
-        
-        if (sortedTeknisi.length > 20) {
-          msg += `\n... dan ${sortedTeknisi.length - 20} teknisi lainnya`;
-        }
-      }
-      
-      msg += `\nDATA SOURCE: REKAPAN_QUALITY\nGENERATED: ${new Date().toLocaleString('id-ID', {timeZone: 'Asia/Jakarta'})} WIB`;
-      return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+      await refreshUserCommands(result.after);
+      return sendTelegram(chatId, `✅ User @${escapeHtml(target)} ${result.created ? 'ditambahkan' : 'diaktifkan'} sebagai ${role}.`, { reply_to_message_id: messageId });
     }
     
-    // === /allps: breakdown owner, sektor, top teknisi ===
-    else if (/^\/allps\b/i.test(text)) {
-      if (!(await isAdmin(username))) {
-        return sendTelegram(chatId, '❌ Akses ditolak. Command /allps hanya untuk admin.', { reply_to_message_id: messageId });
+    if (action === 'nonaktif' || action === 'role') {
+      const role = (args[2] || '').toUpperCase();
+      if (!target || (action === 'role' && !USER_ROLES.includes(role))) {
+        return sendTelegram(chatId, action === 'role' ? 'Format: /user role &lt;username&gt; ADMIN|USER' : 'Format: /user nonaktif &lt;username&gt;', { reply_to_message_id: messageId });
       }
-      
-      const data = await getSheetData(REKAPAN_SHEET);
-      let total = Math.max(0, data.length - 1);
-      let ownerMap = {}, sektorMap = {}, teknisiMap = {};
-      
-      for (let i = 1; i < data.length; i++) {
-        const owner = (data[i][5] || '-').toUpperCase();
-        const sektor = (data[i][6] || '-').toUpperCase();
-        const teknisi = (data[i][11] || '-').toUpperCase();
-        ownerMap[owner] = (ownerMap[owner] || 0) + 1;
-        sektorMap[sektor] = (sektorMap[sektor] || 0) + 1;
-        teknisiMap[teknisi] = (teknisiMap[teknisi] || 0) + 1;
+      const data = await getSheetData(USER_SHEET);
+      if (findUserRowIndex(data, target) === -1) {
+        return sendTelegram(chatId, `❌ User @${escapeHtml(target)} tidak ditemukan.`, { reply_to_message_id: messageId });
       }
-      
-      let msg = '📊 <b>RINGKASAN AKTIVASI TOTAL</b>\n';
-      msg += `TOTAL KESELURUHAN: ${total} SSL\n\nBERDASARKAN OWNER:\n`;
-      Object.entries(ownerMap).sort((a,b)=>b[1]-a[1]).forEach(([o,c])=>{
-        msg+=`- ${o}: ${c}\n`;
+      const result = await upsertUser(target, action === 'role' ? { role } : { status: 'NONAKTIF' });
+      await writeAudit({ id: userId, username }, `/user ${action}`, {
+        before: rowToAuditObject(USER_HEADERS, result.before),
+        after: rowToAuditObject(USER_HEADERS, result.after),
       });
-      msg += '\nBERDASARKAN SEKTOR/WORKZONE:\n';
-      Object.entries(sektorMap).sort((a,b)=>b[1]-a[1]).forEach(([s,c])=>{
-        msg+=`- ${s}: ${c}\n`;
+      await refreshUserCommands(result.after);
+      const col = action === 'role' ? 2 : 3;
+      return sendTelegram(chatId, `✅ User @${escapeHtml(target)} diubah.\nLama: ${result.before[col] || '-'}\nBaru: ${result.after[col]}`, { reply_to_message_id: messageId });
+    }
+    
+    if (action === 'pending') {
+      const data = await getSheetData(USER_SHEET);
+      const pending = data.slice(1).filter(row => (row[3] || '').toUpperCase() === 'PENDING');
+      if (pending.length === 0) {
+        return sendTelegram(chatId, '✅ Tidak ada pendaftaran yang menunggu persetujuan.', { reply_to_message_id: messageId });
+      }
+      for (const row of pending) {
+        await sendTelegram(chatId, `🆕 Pendaftaran: @${escapeHtml(row[1])}`, { reply_markup: userApprovalKeyboard(row[1]) });
+      }
+      return;
+    }
+    
+    if (action === 'list') {
+      const data = await getSheetData(USER_SHEET);
+      const groups = {};
+      data.slice(1).filter(row => row[1]).forEach(row => {
+        const status = (row[3] || '-').toUpperCase();
+        if (!groups[status]) groups[status] = [];
+        groups[status].push(`@${escapeHtml(row[1].replace('@', ''))}${(row[2] || '').toUpperCase() === 'ADMIN' ? ' 👑' : ''}`);
       });
-      
-      let teknisiArr = Object.entries(teknisiMap).map(([name,count])=>({name,count}));
-      teknisiArr.sort((a,b)=>b.count-a.count);
-      msg += '\nTOP TEKNISI:\n';
-      teknisiArr.slice(0,5).forEach((t,i)=>{
-        msg+=`${i+1}. ${t.name}: ${t.count}\n`;
+      let reply = '👥 <b>DAFTAR USER</b>\n';
+      Object.entries(groups).forEach(([status, names]) => {
+        reply += `\n${status} (${names.length}):\n${names.join(', ')}\n`;
       });
-      return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+      return sendTelegram(chatId, reply, { reply_to_message_id: messageId });
+    }
+    
+    let usage = 'Format:\n';
+    usage += '/user add &lt;username&gt; [ADMIN|USER]\n';
+    usage += '/user nonaktif &lt;username&gt;\n';
+    usage += '/user role &lt;username&gt; ADMIN|USER\n';
+    usage += '/user list\n';
+    usage += '/user pending';
+    return sendTelegram(chatId, usage, { reply_to_message_id: messageId });
+  },
+});
+
+// === /grup: atur command dan sektor yang boleh dipakai di grup ini ===
+commandRegistry.register({
+  name: 'grup',
+  role: 'admin',
+  chatTypes: ['group'],
+  args: [{ name: 'izin|sektor' }, { name: 'nilai' }],
+  description: 'Atur command dan sektor untuk grup (jalankan di grup)',
+  examples: ['/grup izin ps,topteknisi', '/grup sektor MDN,BLW'],
+  handler: async ({ msg, args, chatId, messageId, username, userId }) => {
+    const action = (args[0] || 'info').toLowerCase();
+    const value = args.slice(1).join('');
+    const settings = (await getGroupSettings(chatId)) || { chatId, commands: [], workzones: [] };
+    settings.name = msg.chat.title || settings.name || '';
+    const settingsBefore = { CHAT_ID: String(chatId), COMMANDS: settings.commands.join(','), WORKZONE: settings.workzones.join(',') };
+    
+    if (action === 'izin') {
+      const groupCommands = commandRegistry.list({ groupPermission: true }).map(c => c.name);
+      const commands = value.toLowerCase() === 'none' ? [] : value.split(',').map(c => c.replace('/', '').trim().toLowerCase()).filter(c => c);
+      const invalid = commands.filter(c => !groupCommands.includes(c));
+      if (!value || invalid.length > 0) {
+        return sendTelegram(chatId, `Format: /grup izin &lt;command,command|none&gt;\nCommand yang bisa diizinkan: ${groupCommands.join(', ')}`, { reply_to_message_id: messageId });
+      }
+      settings.commands = commands;
+      await saveGroupSettings(settings, username);
+      await writeAudit({ id: userId, username }, '/grup izin', { before: settingsBefore, after: { ...settingsBefore, COMMANDS: commands.join(',') } });
+    } else if (action === 'sektor') {
+      if (!value) {
+        return sendTelegram(chatId, 'Format: /grup sektor &lt;WORKZONE,WORKZONE|semua&gt;', { reply_to_message_id: messageId });
+      }
+      settings.workzones = value.toLowerCase() === 'semua' ? [] : value.split(',').map(w => w.trim().toUpperCase()).filter(w => w);
+      await saveGroupSettings(settings, username);
+      await writeAudit({ id: userId, username }, '/grup sektor', { before: settingsBefore, after: { ...settingsBefore, WORKZONE: settings.workzones.join(',') } });
     }
     
-    // === /cari: menampilkan total dari user tersebut (FIXED) ===
-    else if (/^\/cari\b/i.test(text)) {
-      const user = await getUserData(username);
-      if (!user) {
-        return sendTelegram(chatId, '❌ Anda tidak terdaftar sebagai user aktif.', { reply_to_message_id: messageId });
+    let reply = `👥 <b>PENGATURAN GRUP</b>\n${escapeHtml(settings.name)} (${chatId})\n\n`;
+    reply += `Command diizinkan: ${settings.commands.length > 0 ? settings.commands.map(c => '/' + c).join(', ') : '-'} (+ /aktivasi)\n`;
+    reply += `Sektor: ${settings.workzones.length > 0 ? settings.workzones.join(', ') : 'Semua'}`;
+    return sendTelegram(chatId, reply, { reply_to_message_id: messageId });
+  },
+});
+
+// === /target: atur dan lihat target bulanan teknisi/workzone/owner ===
+commandRegistry.register({
+  name: 'target',
+  role: 'admin',
+  args: [{ name: 'set|list' }, { name: 'username|workzone|owner' }, { name: 'jumlah' }, { name: 'MM/YYYY' }],
+  description: 'Target bulanan',
+  examples: ['/target set tek_budi 60', '/target set MDN 300 09/2025', '/target list'],
+  handler: async ({ args, chatId, messageId, username, userId }) => {
+    const action = (args[0] || 'list').toLowerCase();
+    
+    if (action === 'set') {
+      const rawName = args[1] || '';
+      const value = parseInt(args[2]);
+      const period = args[3] ? parseMonthKey(args[3]) : getReportMonth();
+      if (!rawName || isNaN(value) || value < 0 || !period) {
+        return sendTelegram(chatId, 'Format: /target set &lt;username|workzone|owner&gt; &lt;jumlah&gt; [MM/YYYY]\nContoh: /target set tek_budi 60 09/2025\nPakai prefix teknisi:, workzone: atau owner: jika nama ambigu.', { reply_to_message_id: messageId });
       }
       
-      const data = await getSheetData(REKAPAN_SHEET);
-      const userTeknisi = (user[1] || username).replace('@', '').toLowerCase();
-      let count = 0;
-      let ownerMap = {}, workzoneMap = {};
+      // Tentukan jenis target: prefix eksplisit, owner dikenal, user terdaftar, atau workzone
+      let type = null;
+      let name = rawName;
+      const prefixed = rawName.match(/^(teknisi|workzone|owner):(.+)$/i);
+      if (prefixed) {
+        type = prefixed[1].toUpperCase();
+        name = prefixed[2];
+      } else if (KNOWN_OWNERS.includes(rawName.toUpperCase())) {
+        type = 'OWNER';
+      } else if (await getUserData(rawName)) {
+        type = 'TEKNISI';
+      } else {
+        type = 'WORKZONE';
+      }
+      name = name.replace('@', '').toUpperCase();
       
-      // Cari semua data dari teknisi yang sesuai
+      const monthKey = formatMonthKey(period);
+      const data = await getSheetData(TARGET_SHEET);
+      let rowIndex = -1;
       for (let i = 1; i < data.length; i++) {
-        const teknisiData = (data[i][11] || '').replace('@', '').toLowerCase();
-        if (teknisiData === userTeknisi) {
-          count++;
-          const owner = (data[i][5] || '-').toUpperCase();
-          const workzone = (data[i][6] || '-').toUpperCase();
-          ownerMap[owner] = (ownerMap[owner] || 0) + 1;
-          workzoneMap[workzone] = (workzoneMap[workzone] || 0) + 1;
+        if ((data[i][0] || '').trim() === monthKey && (data[i][1] || '').toUpperCase() === type && (data[i][2] || '').replace('@', '').toUpperCase() === name) {
+          rowIndex = i;
+          break;
         }
       }
-      
-      let msg = `📊 <b>STATISTIK ANDA</b>\n👤 Teknisi: ${user[1] || username}\n📈 Total Aktivasi: ${count} SSL\n\n`;
-      
-      if (count === 0) {
-        msg += '⚠️ Belum ada data aktivasi yang tercatat untuk Anda.\n';
+      const row = [monthKey, type, name, String(value), username];
+      if (rowIndex === -1) {
+        await appendSheetData(TARGET_SHEET, row);
       } else {
-        msg += 'DETAIL PER OWNER:\n';
-        Object.entries(ownerMap).sort((a,b)=>b[1]-a[1]).forEach(([o,c])=>{
-          msg+=`- ${o}: ${c}\n`;
-        });
-        msg += '\nDETAIL PER WORKZONE:\n';
-        Object.entries(workzoneMap).sort((a,b)=>b[1]-a[1]).forEach(([s,c])=>{
-          msg+=`- ${s}: ${c}\n`;
-        });
-        
-        msg += '\n💾 <i>Tip: Gunakan /exportcari untuk download data lengkap dalam format CSV</i>';
+        await updateSheetData(TARGET_SHEET, `A${rowIndex + 1}:E${rowIndex + 1}`, [row]);
       }
-      
-      msg += `\nUpdated: ${new Date().toLocaleString('id-ID', {timeZone: 'Asia/Jakarta'})} WIB`;
-      return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+      await writeAudit({ id: userId, username }, '/target set', {
+        before: rowIndex === -1 ? '' : rowToAuditObject(TARGET_HEADERS, data[rowIndex]),
+        after: rowToAuditObject(TARGET_HEADERS, row),
+      });
+      return sendTelegram(chatId, `✅ Target ${type} ${name} periode ${monthKey}: ${value} SSL`, { reply_to_message_id: messageId });
     }
     
-    // === /@username: menampilkan total dari username tersebut (FIXED FORMAT) ===
-    else if (/^\/[A-Za-z0-9_]+$/.test(text) && !text.match(/^\/cari|^\/ps|^\/allps|^\/clean|^\/clear|^\/help|^\/start|^\/aktivasi|^\/exportcari|^\/weekly|^\/monthly|^\/topteknisi/i)) {
-      if (!(await isAdmin(username))) {
-        return sendTelegram(chatId, '❌ Akses ditolak. Command ini hanya untuk admin.', { reply_to_message_id: messageId });
+    if (action === 'list') {
+      const period = args[1] ? parseMonthKey(args[1]) : getReportMonth();
+      if (!period) {
+        return sendTelegram(chatId, 'Format: /target list [MM/YYYY]', { reply_to_message_id: messageId });
       }
-      
-      const targetUsername = text.substring(1).toLowerCase(); // Remove / and convert to lowercase
-      const data = await getSheetData(REKAPAN_SHEET);
+      const targets = await getTargets(period);
+      let msg = `🎯 <b>TARGET ${formatMonthKey(period)}</b>\n`;
       let count = 0;
-      let ownerMap = {}, workzoneMap = {};
-      
-      // Cari data berdasarkan username (dengan atau tanpa @)
-      for (let i = 1; i < data.length; i++) {
-        const teknisi = (data[i][11] || '').replace('@', '').toLowerCase();
-        if (teknisi === targetUsername) {
+      TARGET_TYPES.forEach(type => {
+        const entries = Object.entries(targets[type]);
+        if (entries.length === 0) return;
+        msg += `\n${type}:\n`;
+        entries.forEach(([name, target]) => {
+          msg += `- ${name}: ${target} SSL\n`;
           count++;
-          const owner = (data[i][5] || '-').toUpperCase();
-          const workzone = (data[i][6] || '-').toUpperCase();
-          ownerMap[owner] = (ownerMap[owner] || 0) + 1;
-          workzoneMap[workzone] = (workzoneMap[workzone] || 0) + 1;
-        }
-      }
-      
-      let msg = `📊 <b>STATISTIK TEKNISI</b>\n👤 Username: ${text}\n📈 Total Aktivasi: ${count} SSL\n\n`;
-      
-      if (count === 0) {
-        msg += '⚠️ Belum ada data aktivasi yang tercatat untuk teknisi ini.\n';
-      } else {
-        msg += 'DETAIL PER OWNER:\n';
-        Object.entries(ownerMap).sort((a,b)=>b[1]-a[1]).forEach(([o,c])=>{
-          msg+=`- ${o}: ${c}\n`;
-        });
-        msg += '\nDETAIL PER WORKZONE:\n';
-        Object.entries(workzoneMap).sort((a,b)=>b[1]-a[1]).forEach(([s,c])=>{
-          msg+=`- ${s}: ${c}\n`;
         });
+      });
+      if (count === 0) {
+        msg += '\nBelum ada target untuk periode ini.';
       }
-      
-      msg += `\nUpdated: ${new Date().toLocaleString('id-ID', {timeZone: 'Asia/Jakarta'})} WIB`;
       return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
     }
     
-    // === /clear: untuk menghapus duplikat di sheet berdasarkan AO ===
-    else if (/^\/clear\b/i.test(text)) {
-      if (!(await isAdmin(username))) {
-        return sendTelegram(chatId, '❌ Akses ditolak. Command /clear hanya untuk admin.', { reply_to_message_id: messageId });
-      }
-      
-      const data = await getSheetData(REKAPAN_SHEET);
-      if (data.length <= 1) {
-        return sendTelegram(chatId, '✅ Sheet sudah bersih, tidak ada data duplikat.', { reply_to_message_id: messageId });
-      }
-      
-      const seen = new Set();
-      const uniqueData = [data[0]]; // Keep header
-      let duplicateCount = 0;
-      
-      for (let i = 1; i < data.length; i++) {
-        const ao = (data[i][1] || '').toUpperCase().trim(); // AO is in column index 1
-        
-        if (!seen.has(ao) && ao) {
-          seen.add(ao);
-          uniqueData.push(data[i]);
-        } else {
-          duplicateCount++;
-        }
+    return sendTelegram(chatId, 'Format: /target set|list ...', { reply_to_message_id: messageId });
+  },
+});
+
+// === /jadwal: kelola laporan otomatis (add|list|remove) ===
+commandRegistry.register({
+  name: 'jadwal',
+  role: 'admin',
+  args: [{ name: 'add|list|remove' }],
+  description: `Laporan otomatis (${REPORT_TIMEZONE_LABEL})`,
+  examples: ['/jadwal add daily 21:00', '/jadwal add weekly 21:00', '/jadwal remove a1b2c3'],
+  handler: async ({ args, chatId, messageId, username, userId }) => {
+    const action = (args[0] || 'list').toLowerCase();
+    
+    if (action === 'add') {
+      const report = (args[1] || '').toLowerCase();
+      const timeMatch = (args[2] || '').match(/^([01]?\d|2[0-3])[:.]([0-5]\d)$/);
+      const targetChatId = args[3] || String(chatId);
+      if (!REPORT_BUILDERS[report] || !timeMatch || !/^-?\d+$/.test(targetChatId)) {
+        return sendTelegram(chatId, 'Format: /jadwal add &lt;daily|weekly|monthly&gt; &lt;HH:MM&gt; [chat_id]\nContoh: /jadwal add daily 21:00', { reply_to_message_id: messageId });
       }
       
-      if (duplicateCount === 0) {
-        return sendTelegram(chatId, '✅ Sheet sudah bersih, tidak ada data duplikat.', { reply_to_message_id: messageId });
+      const time = `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`;
+      const id = crypto.randomBytes(3).toString('hex');
+      const scheduleRow = [id, report, time, targetChatId, username, new Date().toISOString()];
+      await appendSheetData(JADWAL_SHEET, scheduleRow);
+      await writeAudit({ id: userId, username }, '/jadwal add', { after: rowToAuditObject(JADWAL_HEADERS, scheduleRow) });
+      return sendTelegram(chatId, `✅ Jadwal ${id} ditambahkan: ${REPORT_SCHEDULE_LABELS[report]} pukul ${time} ${REPORT_TIMEZONE_LABEL} ke chat ${targetChatId}.`, { reply_to_message_id: messageId });
+    }
+    
+    if (action === 'remove') {
+      const id = args[1];
+      const schedule = (await getReportSchedules()).find(s => s.id === id);
+      if (!schedule) {
+        return sendTelegram(chatId, `❌ Jadwal ${id || ''} tidak ditemukan.`, { reply_to_message_id: messageId });
       }
-      
-      // Update sheet with clean data
-      await updateSheetData(REKAPAN_SHEET, `A1:L${uniqueData.length}`, uniqueData);
-      return sendTelegram(chatId, `✅ Berhasil menghapus ${duplicateCount} data duplikat berdasarkan AO. Sheet telah dibersihkan.`, { reply_to_message_id: messageId });
+      const rowNumber = schedule.rowIndex + 1;
+      await updateSheetData(JADWAL_SHEET, `A${rowNumber}:F${rowNumber}`, [JADWAL_HEADERS.map(() => '')]);
+      await writeAudit({ id: userId, username }, '/jadwal remove', { before: { ID: schedule.id, LAPORAN: schedule.report, WAKTU: schedule.time, CHAT_ID: schedule.chatId } });
+      return sendTelegram(chatId, `🗑️ Jadwal ${id} dihapus.`, { reply_to_message_id: messageId });
     }
     
-    // === /aktivasi: parsing multi-format yang diperbaiki, cek duplikat berdasarkan AO, simpan ===
-    else if (/^\/aktivasi\b/i.test(text)) {
-      const user = await getUserData(username);
-      if (!user) {
-        return sendTelegram(chatId, '❌ Anda tidak terdaftar sebagai user aktif.', { reply_to_message_id: messageId });
+    const schedules = await getReportSchedules();
+    let msg = '⏰ <b>JADWAL LAPORAN OTOMATIS</b>\n\n';
+    if (schedules.length === 0) {
+      msg += 'Belum ada jadwal. Tambahkan dengan /jadwal add daily 21:00\n';
+    } else {
+      schedules.forEach(s => {
+        msg += `• <code>${s.id}</code> ${REPORT_SCHEDULE_LABELS[s.report] || s.report} pukul ${s.time} ${REPORT_TIMEZONE_LABEL} → chat ${s.chatId}\n`;
+      });
+    }
+    return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+  },
+});
+
+// === /username: statistik teknisi tertentu (admin), dipakai untuk command yang tidak terdaftar ===
+async function sendTeknisiStats({ text, chatId, messageId }) {
+  const targetUsername = text.substring(1).toLowerCase(); // Remove / and convert to lowercase
+  const data = await getSheetData(REKAPAN_SHEET);
+  let count = 0;
+  let ownerMap = {}, workzoneMap = {};
+  
+  // Cari data berdasarkan username (dengan atau tanpa @)
+  for (let i = 1; i < data.length; i++) {
+    const teknisi = (data[i][11] || '').replace('@', '').toLowerCase();
+    if (teknisi === targetUsername) {
+      count++;
+      const owner = (data[i][5] || '-').toUpperCase();
+      const workzone = (data[i][6] || '-').toUpperCase();
+      ownerMap[owner] = (ownerMap[owner] || 0) + 1;
+      workzoneMap[workzone] = (workzoneMap[workzone] || 0) + 1;
+    }
+  }
+  
+  let msg = `📊 <b>STATISTIK TEKNISI</b>\n👤 Username: ${text}\n📈 Total Aktivasi: ${count} SSL\n\n`;
+  
+  if (count === 0) {
+    msg += '⚠️ Belum ada data aktivasi yang tercatat untuk teknisi ini.\n';
+  } else {
+    msg += 'DETAIL PER OWNER:\n';
+    Object.entries(ownerMap).sort((a,b)=>b[1]-a[1]).forEach(([o,c])=>{
+      msg+=`- ${o}: ${c}\n`;
+    });
+    msg += '\nDETAIL PER WORKZONE:\n';
+    Object.entries(workzoneMap).sort((a,b)=>b[1]-a[1]).forEach(([s,c])=>{
+      msg+=`- ${s}: ${c}\n`;
+    });
+  }
+  
+  msg += `\nUpdated: ${formatReportTime()}`;
+  return sendTelegram(chatId, msg, { reply_to_message_id: messageId });
+}
+
+// === Menu command Telegram dari registry ===
+// Chat pribadi: command user; grup: command yang bisa dipakai di grup; admin: semua command per chat admin
+async function syncAdminCommands(telegramId, isAdminUser) {
+  const scope = { type: 'chat', chat_id: Number(telegramId) };
+  if (isAdminUser) {
+    return bot.setMyCommands(toBotCommands(commandRegistry.list({ chatType: 'private' })), { scope });
+  }
+  return bot.deleteMyCommands({ scope: JSON.stringify(scope) });
+}
+
+// Dipanggil setelah role/status user diubah; user tanpa Telegram ID dilewati
+async function refreshUserCommands(row) {
+  if (!row[4]) return;
+  const isAdminUser = (row[2] || '').toUpperCase() === 'ADMIN' && (row[3] || '').toUpperCase() === 'AKTIF';
+  await syncAdminCommands(row[4], isAdminUser).catch(err => {
+    console.error(`Failed to update commands for ${row[1]}:`, err.message);
+  });
+}
+
+async function syncBotCommands() {
+  await bot.setMyCommands(toBotCommands(commandRegistry.list({ admin: false, chatType: 'private' })), { scope: { type: 'all_private_chats' } });
+  await bot.setMyCommands(toBotCommands(commandRegistry.list({ chatType: 'group' })), { scope: { type: 'all_group_chats' } });
+  const users = await getSheetData(USER_SHEET);
+  for (const row of users.slice(1)) {
+    if ((row[2] || '').toUpperCase() !== 'ADMIN' || (row[3] || '').toUpperCase() !== 'AKTIF' || !row[4]) continue;
+    await syncAdminCommands(row[4], true).catch(err => {
+      console.error(`Failed to set admin commands for ${row[1]}:`, err.message);
+    });
+  }
+}
+
+// === Handler pesan masuk dengan error handling lengkap ===
+bot.on('message', async (msg) => {
+  const chatId = msg.chat.id;
+  const messageId = msg.message_id;
+  // Dokumen/foto membawa command di caption (contoh: upload CSV dengan caption /aktivasi)
+  let text = (msg.text || msg.caption || '').trim();
+  const username = msg.from.username || '';
+  const userId = msg.from.id;
+  const chatType = msg.chat.type;
+  const isGroup = chatType === 'group' || chatType === 'supergroup';
+  
+  // Format /command@BotName dari grup: buang mention bot, abaikan command untuk bot lain
+  const mention = text.match(/^(\/\w+)@(\w+)/);
+  if (mention) {
+    if (botUsername && mention[2].toLowerCase() !== botUsername.toLowerCase()) return;
+    text = mention[1] + text.slice(mention[0].length);
+  }
+  
+  // Log untuk debugging
+  console.log(`Message received - Chat: ${chatId}, User: @${username}, Type: ${chatType}, Text: ${text.substring(0, 50)}`);
+  
+  // Album foto: pemimpin (caption /aktivasi atau balasan) didaftarkan sebelum await pertama,
+  // agar foto lain dari album yang sama tidak diproses sebelum tujuannya diketahui
+  const albumId = msg.photo && msg.media_group_id;
+  const albumLeader = !!albumId && (/^\/aktivasi\b/i.test(text) || !!msg.reply_to_message) && evidenceAlbums.claim(albumId);
+  
+  try {
+    // === Lanjutan album: ikut draft/AO pemimpin, atau ditahan sampai pemimpin selesai ===
+    if (albumId && !albumLeader) {
+      const target = evidenceAlbums.add(albumId, msg);
+      if (!target) return;
+      if (target.draftId) {
+        const albumDraft = aktivasiDrafts.get(target.draftId);
+        if (albumDraft) albumDraft.photos.push(getPhotoMeta(msg));
+        return;
       }
-      
-      const inputText = text.replace(/^\/aktivasi\s*/i, '').trim();
-      if (!inputText) {
-        return sendTelegram(chatId, 'Silakan kirim data aktivasi setelah /aktivasi.', { reply_to_message_id: messageId });
+      await saveEvidencePhotos(target.ao, [getPhotoMeta(msg)], { id: userId, username });
+      return;
+    }
+    
+    // === Balasan nilai baru untuk field draft /aktivasi yang sedang diedit ===
+    const replyTo = msg.reply_to_message;
+    const editingDraft = replyTo && aktivasiDrafts.find(d =>
+      d.promptMessageId === replyTo.message_id && d.chatId === chatId && d.userId === msg.from.id
+    );
+    if (editingDraft && text && !text.startsWith('/')) {
+      const field = AKTIVASI_FIELDS.find(f => f.name === editingDraft.editingField);
+      editingDraft.parsed[field.key] = text;
+      // Nilai yang diketik user bukan tebakan lagi
+      editingDraft.guessed = (editingDraft.guessed || []).filter(key => key !== field.key);
+      editingDraft.editingField = null;
+      editingDraft.promptMessageId = null;
+      return sendTelegram(chatId, formatAktivasiPreview(editingDraft), {
+        reply_to_message_id: messageId,
+        reply_markup: aktivasiDraftKeyboard(editingDraft.id),
+      });
+    }
+    
+    // === Foto bukti tanpa caption /aktivasi: balasan ke konfirmasi /aktivasi atau lanjutan album ===
+    if (msg.photo && !/^\/aktivasi\b/i.test(text)) {
+      const user = await getUserData(username, userId);
+      const ao = user && findEvidenceAO(msg, user, username);
+      if (ao) {
+        return attachEvidence(msg, ao, user, username);
       }
-      
-      // Use the extracted parser module for parsing multi-format messages
-      const parsed = parseAktivasi(inputText, user, username);
-      
-      // Validasi minimal AO harus ada
-      let missing = [];
-      if (!parsed.ao) missing.push('AO');
-      if (missing.length > 0) {
-        return sendTelegram(chatId, `❌ Data tidak lengkap. Field berikut wajib diisi: ${missing.join(', ')}`, { reply_to_message_id: messageId });
+      if (user && !isGroup && !msg.media_group_id) {
+        return sendTelegram(chatId, '📷 Untuk menyimpan foto bukti, kirim foto dengan caption /aktivasi &lt;AO&gt; atau balas pesan konfirmasi aktivasi dengan foto.', { reply_to_message_id: messageId });
       }
-      
-      // === Cek duplikat: AO sudah ada di sheet ===
-      const data = await getSheetData(REKAPAN_SHEET);
-      let isDuplicate = false;
-      for (let i = 1; i < data.length; i++) {
-        if ((data[i][1] || '').toUpperCase().trim() === parsed.ao.toUpperCase().trim()) {
-          isDuplicate = true;
-          break;
+    }
+    
+    // === Command: cari di registry, cek tipe chat, role dan argumen, lalu jalankan handler ===
+    const parsedCommand = commandRegistry.parse(text);
+    if (!parsedCommand) return;
+    const { command, args, argText } = parsedCommand;
+    
+    if (!command) {
+      // Di grup command yang tidak dikenal diabaikan
+      if (isGroup) return;
+      if (/^\/[A-Za-z0-9_]+$/.test(text)) {
+        if (!(await isAdmin(username, userId))) {
+          return sendTelegram(chatId, '❌ Akses ditolak. Command ini hanya untuk admin.', { reply_to_message_id: messageId });
         }
+        return sendTeknisiStats({ text, chatId, messageId });
       }
-      if (isDuplicate) {
-        return sendTelegram(chatId, '❌ Data duplikat. AO sudah pernah diinput.', { reply_to_message_id: messageId });
+      return sendTelegram(chatId, '❓ Command tidak dikenali. Ketik /help untuk melihat daftar command yang tersedia untuk Anda.', { reply_to_message_id: messageId });
+    }
+    
+    // Di grup: command grup hanya jalan jika diizinkan lewat /grup izin, laporan dibatasi sektor grup
+    const groupSettings = isGroup && command.groupPermission ? await getGroupSettings(chatId) : null;
+    const chatCheck = checkChat(command, { isGroup, groupCommands: groupSettings ? groupSettings.commands : [] });
+    if (chatCheck === 'ignore') return;
+    if (chatCheck === 'groupOnly') {
+      return sendTelegram(chatId, `❌ Command /${command.name} hanya bisa dipakai di dalam grup.`, { reply_to_message_id: messageId });
+    }
+    
+    const user = await getUserData(username, userId);
+    const admin = !!user && (user[2] || '').toUpperCase() === 'ADMIN';
+    if (!checkRole(command, { user, admin, groupAccess: !!groupSettings })) {
+      return sendTelegram(chatId, command.role === 'admin'
+        ? `❌ Akses ditolak. Command /${command.name} hanya untuk admin.`
+        : '❌ Anda tidak terdaftar sebagai user aktif.', { reply_to_message_id: messageId });
+    }
+    
+    const usage = checkArgs(command, args);
+    if (usage) {
+      return sendTelegram(chatId, usage, { reply_to_message_id: messageId });
+    }
+    
+    return await command.handler({
+      msg,
+      text,
+      args,
+      argText,
+      chatId,
+      messageId,
+      username,
+      userId,
+      isGroup,
+      user,
+      admin,
+      workzones: groupSettings ? groupSettings.workzones : null,
+    });
+    
+  } catch (err) {
+    console.error('Error processing message:', err);
+    return sendTelegram(chatId, '❌ Terjadi kesalahan sistem. Silakan coba lagi nanti.', { reply_to_message_id: messageId });
+  } finally {
+    // Pemimpin gagal (AO tidak ada, validasi gagal, ...): foto album yang ditahan dilupakan
+    if (albumLeader) evidenceAlbums.abandon(albumId);
+  }
+});
+
+// === Handler tombol inline draft /aktivasi (Simpan, Batal, Edit field) ===
+bot.on('callback_query', async (query) => {
+  const data = query.data || '';
+  if (!data.startsWith('akt:')) return;
+  
+  const [, action, draftId, fieldName] = data.split(':');
+  const chatId = query.message.chat.id;
+  const messageId = query.message.message_id;
+  
+  try {
+    const draft = aktivasiDrafts.get(draftId);
+    if (!draft) {
+      await bot.answerCallbackQuery(query.id, { text: '⌛ Draft sudah kedaluwarsa. Silakan kirim ulang /aktivasi.', show_alert: true });
+      return bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+    }
+    if (draft.userId !== query.from.id) {
+      return bot.answerCallbackQuery(query.id, { text: '❌ Hanya pengirim data yang bisa mengonfirmasi draft ini.', show_alert: true });
+    }
+    
+    if (action === 'save') {
+      const validation = validateAktivasi(draft.parsed, validationRules);
+      if (!validation.valid) {
+        await bot.answerCallbackQuery(query.id, { text: 'Data belum valid, gunakan Edit field.' });
+        return sendTelegram(chatId, formatValidationErrors(validation.errors), { reply_to_message_id: messageId });
       }
       
-      // Susun data sesuai urutan kolom sheet
-      const tanggal = getTodayDateString();
-      
-      const row = [
-        tanggal,               // TANGGAL
-        parsed.ao,             // AO
-        parsed.workorder,      // WORKORDER
-        parsed.serviceNo,      // SERVICE NO
-        parsed.customerName,   // CUSTOMER NAME
-        parsed.owner,          // OWNER
-        parsed.workzone,       // WORKZONE
-        parsed.snOnt,          // SN ONT
-        parsed.nikOnt,         // NIK ONT
-        parsed.stbId,          // STB ID
-        parsed.nikStb,         // NIK STB
-        parsed.teknisi         // TEKNISI
-      ];
+      // Cek ulang duplikat di dalam antrean, data bisa berubah selama draft menunggu
+      const duplicateMsg = await runRekapanWrite(async () => {
+        const sheetData = await getSheetData(REKAPAN_SHEET);
+        const duplicate = findDuplicateAktivasi(sheetData, draft.parsed);
+        if (duplicate) return formatDuplicateMessage(sheetData, duplicate);
+        const newRow = buildRekapanRow(draft.parsed, formatSheetTimestamp(new Date(), REPORT_TIMEZONE));
+        await appendSheetData(REKAPAN_SHEET, newRow);
+        await writeAudit(query.from, '/aktivasi', { aos: [draft.parsed.ao], after: rowToAuditObject(REKAPAN_HEADERS, newRow) });
+        return null;
+      });
+      aktivasiDrafts.delete(draftId);
+      if (duplicateMsg) {
+        await bot.answerCallbackQuery(query.id);
+        return bot.editMessageText(duplicateMsg, { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' });
+      }
       
-      await appendSheetData(REKAPAN_SHEET, row);
+      let photoCount = 0;
+      if (draft.photos.length > 0) {
+        photoCount = await saveEvidencePhotos(draft.parsed.ao, draft.photos, query.from);
+      }
       
-      // Tampilkan konfirmasi dengan data yang berhasil diparse
       let confirmMsg = '✅ Data berhasil disimpan ke sheet, GASPOLLL 🚀🚀!\n\n';
+      confirmMsg += `AO: ${escapeHtml(draft.parsed.ao)}\n`;
       confirmMsg += '<b>Lanjut GROUP FULFILLMENT dan PT1</b>\n';
-      
-      return sendTelegram(chatId, confirmMsg, { reply_to_message_id: messageId });
+      confirmMsg += photoCount > 0
+        ? `📷 ${photoCount} foto bukti tersimpan.\n`
+        : '📷 Belum ada foto bukti. Balas pesan ini dengan foto (label ONT, speed test, rumah).\n';
+      await bot.answerCallbackQuery(query.id, { text: 'Tersimpan' });
+      return bot.editMessageText(confirmMsg, { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' });
     }
     
-    // === /help: Command list yang diperbaiki dan lebih detail ===
-    else if (/^\/help\b/i.test(text) || /^\/start\b/i.test(text)) {
-      let helpMsg = '🤖 <b>Bot Rekapan Quality - Panduan Lengkap</b>\n\n';
-      
-      helpMsg += '📝 <b>COMMANDS UNTUK USER:</b>\n';
-      helpMsg += '• <code>/aktivasi [data]</code> - Input data aktivasi\n';
-      helpMsg += '• <code>/cari</code> - Lihat statistik total aktivasi Anda\n';
-      helpMsg += '• <code>/exportcari</code> - Download data aktivasi Anda dalam format CSV\n';
-      helpMsg += '• <code>/help</code> - Tampilkan bantuan ini\n\n';
-      
-      helpMsg += '📊 <b>FORMAT INPUT AKTIVASI:</b>\n';
-      helpMsg += 'Bot mendukung 3 format input:\n';
-      helpMsg += '1. <b>Auto-detect BGES/WMS:</b> Copy paste langsung dari sistem\n';
-      helpMsg += '2. <b>Auto-detect TSEL:</b> Copy paste langsung dari sistem\n';
-      helpMsg += '3. <b>Format Manual:</b>\n';
-      helpMsg += '   AO : SC123456\n';
-      helpMsg += '   SERVICE NO : 12345678901\n';
-      helpMsg += '   CUSTOMER NAME : JOHN DOE\n';
-      helpMsg += '   OWNER : BGES\n';
-      helpMsg += '   WORKZONE : MEDAN\n';
-      helpMsg += '   SN ONT : ZTEG12345678\n';
-      helpMsg += '   NIK ONT : 987654321\n\n';
-      
-      if (await isAdmin(username)) {
-        helpMsg += '👑 <b>ADMIN COMMANDS:</b>\n';
-        helpMsg += '• <code>/ps [tanggal]</code> - Laporan harian\n';
-        helpMsg += '   Contoh: /ps atau /ps 01/09/2025\n';
-        helpMsg += '• <code>/weekly [tanggal]</code> - Laporan mingguan\n';
-        helpMsg += '   Contoh: /weekly atau /weekly 01/09/2025\n';
-        helpMsg += '• <code>/monthly [tanggal]</code> - Laporan bulanan\n';
-        helpMsg += '   Contoh: /monthly atau /monthly 01/09/2025\n';
-        helpMsg += '• <code>/topteknisi [periode] [tanggal]</code> - Ranking teknisi\n';
-        helpMsg += '   Periode: all, daily, weekly, monthly\n';
-        helpMsg += '   Contoh: /topteknisi monthly 01/09/2025\n';
-        helpMsg += '• <code>/allps</code> - Ringkasan total keseluruhan\n';
-        helpMsg += '• <code>/[username]</code> - Statistik teknisi tertentu\n';
-        helpMsg += '   Contoh: /HKS_HENDRA_16951456\n';
-        helpMsg += '• <code>/clear</code> - Hapus data duplikat dari sheet\n\n';
+    if (action === 'cancel') {
+      aktivasiDrafts.delete(draftId);
+      await bot.answerCallbackQuery(query.id, { text: 'Dibatalkan' });
+      return bot.editMessageText('❌ Aktivasi dibatalkan, data tidak disimpan.', { chat_id: chatId, message_id: messageId });
+    }
+    
+    if (action === 'edit') {
+      await bot.answerCallbackQuery(query.id);
+      return bot.editMessageReplyMarkup(aktivasiFieldKeyboard(draftId), { chat_id: chatId, message_id: messageId });
+    }
+    
+    if (action === 'back') {
+      await bot.answerCallbackQuery(query.id);
+      return bot.editMessageReplyMarkup(aktivasiDraftKeyboard(draftId), { chat_id: chatId, message_id: messageId });
+    }
+    
+    if (action === 'field') {
+      const field = AKTIVASI_FIELDS.find(f => f.name === fieldName);
+      if (!field) {
+        return bot.answerCallbackQuery(query.id, { text: 'Field tidak dikenali.' });
       }
-      
-      helpMsg += '💡 <b>TIPS PENGGUNAAN:</b>\n';
-      helpMsg += '• Field wajib: AO, SERVICE NO, CUSTOMER NAME, OWNER, WORKZONE, SN ONT, NIK ONT\n';
-      helpMsg += '• Bot otomatis mendeteksi format BGES, WMS, dan TSEL\n';
-      helpMsg += '• Gunakan format tanggal: DD/MM/YYYY atau DD-MM-YYYY\n';
-      helpMsg += '• Data duplikat (berdasarkan AO) akan ditolak sistem\n';
-      helpMsg += '• Export CSV tersedia untuk backup data personal\n\n';
-      
-      helpMsg += '🚀 <b>Bot siap membantu aktivasi Anda!</b>\n';
-      helpMsg += '📅 Generated: ' + new Date().toLocaleString('id-ID', {timeZone: 'Asia/Jakarta'}) + ' WIB';
-      
-      return sendTelegram(chatId, helpMsg, { reply_to_message_id: messageId });
+      await bot.answerCallbackQuery(query.id);
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+      const prompt = await bot.sendMessage(chatId, `✏️ Balas pesan ini dengan nilai baru untuk <b>${field.name}</b> (saat ini: <code>${escapeHtml(draft.parsed[field.key]) || '-'}</code>)`, {
+        parse_mode: 'HTML',
+        reply_markup: { force_reply: true, selective: true },
+        reply_to_message_id: draft.replyToMessageId,
+      });
+      draft.editingField = field.name;
+      draft.promptMessageId = prompt.message_id;
+      return;
     }
     
-    // Default response for unknown commands
-    else if (text.startsWith('/')) {
-      return sendTelegram(chatId, '❓ Command tidak dikenali. Ketik /help untuk melihat daftar command yang tersedia untuk Anda.', { reply_to_message_id: messageId });
+    return bot.answerCallbackQuery(query.id);
+  } catch (err) {
+    console.error('Error processing callback query:', err);
+    return bot.answerCallbackQuery(query.id, { text: '❌ Terjadi kesalahan sistem. Silakan coba lagi nanti.', show_alert: true }).catch(() => {});
+  }
+});
+
+// === Handler tombol approve/tolak pendaftaran user ===
+bot.on('callback_query', async (query) => {
+  const data = query.data || '';
+  if (!data.startsWith('usr:')) return;
+  
+  const [, action, target] = data.split(':');
+  const chatId = query.message.chat.id;
+  const messageId = query.message.message_id;
+  
+  try {
+    if (!(await isAdmin(query.from.username || '', query.from.id))) {
+      return bot.answerCallbackQuery(query.id, { text: '❌ Hanya admin yang bisa menyetujui pendaftaran.', show_alert: true });
+    }
+    
+    const users = await getSheetData(USER_SHEET);
+    const rowIndex = findUserRowIndex(users, target);
+    if (rowIndex === -1 || (users[rowIndex][3] || '').toUpperCase() !== 'PENDING') {
+      await bot.answerCallbackQuery(query.id, { text: 'Pendaftaran sudah diproses.' });
+      return bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
     }
     
+    const approved = action === 'approve';
+    const result = await upsertUser(target, { status: approved ? 'AKTIF' : 'DITOLAK' });
+    await writeAudit(query.from, `/daftar ${action}`, {
+      before: rowToAuditObject(USER_HEADERS, result.before),
+      after: rowToAuditObject(USER_HEADERS, result.after),
+    });
+    await bot.answerCallbackQuery(query.id, { text: approved ? 'Disetujui' : 'Ditolak' });
+    await bot.editMessageText(`${approved ? '✅ Disetujui' : '❌ Ditolak'}: @${target} (oleh @${query.from.username})`, { chat_id: chatId, message_id: messageId });
+    
+    // Chat privat dengan user memakai Telegram ID yang disimpan saat /daftar
+    const applicantChatId = (users[rowIndex][4] || '').trim();
+    if (applicantChatId) {
+      await sendTelegram(applicantChatId, approved
+        ? '🎉 Pendaftaran Anda disetujui. Ketik /help untuk mulai.'
+        : '❌ Pendaftaran Anda ditolak. Silakan hubungi admin.');
+    }
   } catch (err) {
-    console.error('Error processing message:', err);
-    return sendTelegram(chatId, '❌ Terjadi kesalahan sistem. Silakan coba lagi nanti.', { reply_to_message_id: messageId });
+    console.error('Error processing user approval:', err);
+    return bot.answerCallbackQuery(query.id, { text: '❌ Terjadi kesalahan sistem. Silakan coba lagi nanti.', show_alert: true }).catch(() => {});
   }
 });
 
+// === Scheduler laporan otomatis ke chat admin ===
+const reportScheduler = createReportScheduler({
+  loadSchedules: getReportSchedules,
+  timeZone: REPORT_TIMEZONE,
+  runSchedule: async (schedule) => {
+    const msg = await REPORT_BUILDERS[schedule.report]();
+    await sendTelegram(schedule.chatId, `⏰ <i>Laporan terjadwal</i>\n${msg}`);
+  },
+});
+ensureSheet(JADWAL_SHEET, JADWAL_HEADERS).then(() => reportScheduler.start());
+ensureSheet(GRUP_SHEET, GRUP_HEADERS);
+ensureSheet(TARGET_SHEET, TARGET_HEADERS);
+ensureSheet(CLEAR_BACKUP_SHEET, CLEAR_BACKUP_HEADERS);
+ensureSheet(AUDIT_SHEET, AUDIT_HEADERS);
+ensureSheet(FOTO_SHEET, FOTO_HEADERS);
+syncBotCommands().catch(err => {
+  console.error('Failed to set bot commands:', err.message);
+});
+
 // Error handling untuk uncaught exceptions
 process.on('uncaughtException', (err) => {
   console.error('Uncaught Exception:', err);
@@ -0,0 +1,159 @@
+const ExcelJS = require('exceljs');
+
+// Baris pembuka satu record: "AO : ..."/"AO ..." atau "SC ORDER NO ...".
+// Baris log BGES "AO|  MDN ..." bukan pembuka: satu pesan BGES bisa memuat beberapa baris AO|
+const RECORD_ANCHOR = /^(AO(?=\s*:|\s+[^\s|])|SC\s*ORDER\s*NO\b)/i;
+
+function anchorLabel(line) {
+  const match = RECORD_ANCHOR.exec(line.trim());
+  return match ? match[1].toUpperCase().replace(/\s+/g, ' ') : null;
+}
+
+// === Pecah satu pesan /aktivasi menjadi beberapa record ===
+// Record baru dimulai saat label pembuka (AO / SC ORDER NO) muncul lagi. Baris judul di atasnya
+// (CHANNEL, BGES, WMS ORDER, ...) ikut record tersebut: dipotong di baris kosong terakhir sebelum
+// label, atau jika tidak ada baris kosong, sebanyak baris judul pada record pertama.
+function splitAktivasiRecords(text) {
+  const lines = text.split('\n');
+  const firstAnchor = lines.findIndex(line => anchorLabel(line));
+  if (firstAnchor === -1) return [text];
+
+  const label = anchorLabel(lines[firstAnchor]);
+  const anchors = [];
+  lines.forEach((line, i) => {
+    if (anchorLabel(line) === label) anchors.push(i);
+  });
+  if (anchors.length < 2) return [text];
+
+  const preambleLength = lines.slice(0, firstAnchor).filter(line => line.trim()).length;
+  const starts = [0];
+  for (let k = 1; k < anchors.length; k++) {
+    const previous = anchors[k - 1];
+    let start = anchors[k];
+    let blank = -1;
+    for (let i = anchors[k] - 1; i > previous; i--) {
+      if (!lines[i].trim()) {
+        blank = i;
+        break;
+      }
+    }
+    if (blank !== -1) {
+      start = blank + 1;
+    } else {
+      start = Math.max(previous + 1, anchors[k] - preambleLength);
+    }
+    starts.push(start);
+  }
+
+  return starts
+    .map((start, k) => lines.slice(start, starts[k + 1]).join('\n').trim())
+    .filter(record => record);
+}
+
+// === Helper: Generate CSV content ===
+function generateCSV(data, headers) {
+  let csv = headers.join(',') + '\n';
+  
+  data.forEach(row => {
+    const csvRow = row.map(cell => {
+      const cellStr = (cell || '').toString();
+      // Escape double quotes and wrap in quotes if contains comma or quotes
+      if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
+        return '"' + cellStr.replace(/"/g, '""') + '"';
+      }
+      return cellStr;
+    });
+    csv += csvRow.join(',') + '\n';
+  });
+  
+  return csv;
+}
+
+// === Parse CSV (format generateCSV: koma, kutip ganda untuk nilai berisi koma/kutip/baris baru) ===
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// === Nilai sel XLSX -> string (tanggal diformat seperti kolom TANGGAL di sheet) ===
+function cellToString(value, formatDate) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(r => r.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellToString(value.result, formatDate);
+  }
+  return String(value);
+}
+
+// === Baca file upload (csv/xlsx) menjadi array baris string, termasuk header ===
+// formatDate mengubah Date dari sel XLSX menjadi teks TANGGAL
+async function readImportRows(buffer, extension, { formatDate = d => d.toISOString() } = {}) {
+  if (extension === 'csv') {
+    return parseCSV(buffer.toString('utf8'));
+  }
+  if (extension === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, row => {
+      const values = [];
+      for (let c = 1; c <= sheet.columnCount; c++) {
+        values.push(cellToString(row.getCell(c).value, formatDate).trim());
+      }
+      rows.push(values);
+    });
+    return rows;
+  }
+  throw new Error(`Format file tidak didukung: ${extension}`);
+}
+
+// Nama kolom dibandingkan tanpa beda "_"/spasi, agar CSV /export (SERVICE_NO) sama dengan sheet (SERVICE NO)
+function normalizeHeader(value) {
+  return (value || '').trim().toUpperCase().replace(/[\s_]+/g, ' ');
+}
+
+// === Cek header file sama dengan layout 12 kolom REKAPAN ===
+function isImportHeaderValid(header, expectedHeaders) {
+  return expectedHeaders.every((h, i) => normalizeHeader(header[i]) === normalizeHeader(h));
+}
+
+module.exports = { splitAktivasiRecords, generateCSV, parseCSV, readImportRows, isImportHeaderValid };
@@ -0,0 +1,134 @@
+const zlib = require('zlib');
+const { GLYPH_WIDTH, GLYPH_HEIGHT, getGlyph } = require('./font');
+
+// Kanvas RGB sederhana untuk menggambar grafik dan menyimpannya sebagai PNG tanpa library eksternal.
+// Warna berupa [r, g, b]; koordinat di luar kanvas diabaikan.
+
+// === CRC32 untuk chunk PNG ===
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// === Encode piksel RGB (width x height x 3) ke PNG ===
+function encodePNG(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // RGB
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Byte filter 0 (None) di awal setiap baris
+    pixels.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function createCanvas(width, height, background = [255, 255, 255]) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    pixels[i * 3] = background[0];
+    pixels[i * 3 + 1] = background[1];
+    pixels[i * 3 + 2] = background[2];
+  }
+
+  function setPixel(x, y, color) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 3;
+    pixels[i] = color[0];
+    pixels[i + 1] = color[1];
+    pixels[i + 2] = color[2];
+  }
+
+  function fillRect(x, y, w, h, color) {
+    for (let py = Math.max(0, Math.round(y)); py < Math.min(height, Math.round(y + h)); py++) {
+      for (let px = Math.max(0, Math.round(x)); px < Math.min(width, Math.round(x + w)); px++) {
+        setPixel(px, py, color);
+      }
+    }
+  }
+
+  // Garis tebal: titik-titik persegi sepanjang garis
+  function drawLine(x0, y0, x1, y1, color, thickness = 1) {
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0))));
+    const offset = Math.floor(thickness / 2);
+    for (let s = 0; s <= steps; s++) {
+      const x = x0 + ((x1 - x0) * s) / steps;
+      const y = y0 + ((y1 - y0) * s) / steps;
+      fillRect(Math.round(x) - offset, Math.round(y) - offset, thickness, thickness, color);
+    }
+  }
+
+  // Juring lingkaran dari sudut start ke end (radian, 0 = arah jam 12, searah jarum jam)
+  function fillSector(cx, cy, radius, start, end, color) {
+    for (let y = Math.floor(cy - radius); y <= Math.ceil(cy + radius); y++) {
+      for (let x = Math.floor(cx - radius); x <= Math.ceil(cx + radius); x++) {
+        const dx = x - cx;
+        const dy = y - cy;
+        if (dx * dx + dy * dy > radius * radius) continue;
+        let angle = Math.atan2(dx, -dy);
+        if (angle < 0) angle += Math.PI * 2;
+        if (angle >= start && angle < end) setPixel(x, y, color);
+      }
+    }
+  }
+
+  function fillCircle(cx, cy, radius, color) {
+    fillSector(cx, cy, radius, 0, Math.PI * 2 + 1, color);
+  }
+
+  function textWidth(text, scale = 2) {
+    return String(text).length * (GLYPH_WIDTH + 1) * scale - scale;
+  }
+
+  function drawText(x, y, text, color, scale = 2) {
+    [...String(text)].forEach((char, i) => {
+      const glyph = getGlyph(char);
+      const left = x + i * (GLYPH_WIDTH + 1) * scale;
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        for (let col = 0; col < GLYPH_WIDTH; col++) {
+          if (glyph[row] & (1 << (GLYPH_WIDTH - 1 - col))) fillRect(left + col * scale, y + row * scale, scale, scale, color);
+        }
+      }
+    });
+  }
+
+  return {
+    width,
+    height,
+    setPixel,
+    fillRect,
+    drawLine,
+    fillSector,
+    fillCircle,
+    textWidth,
+    drawText,
+    toPNG: () => encodePNG(width, height, pixels),
+  };
+}
+
+module.exports = { GLYPH_WIDTH, GLYPH_HEIGHT, createCanvas, encodePNG };
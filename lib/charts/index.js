@@ -0,0 +1,132 @@
+const { createCanvas } = require('./canvas');
+
+// Grafik PNG untuk laporan (/ps grafik, /monthly grafik, ...), digambar lokal tanpa layanan luar.
+// entries = [{ label, value }] sudah diurutkan; hasil berupa Buffer PNG.
+const PALETTE = [
+  [52, 114, 219], [230, 126, 34], [46, 160, 67], [214, 48, 49], [142, 68, 173],
+  [22, 160, 133], [241, 196, 15], [127, 140, 141], [232, 67, 147], [41, 128, 185],
+];
+const TEXT = [33, 37, 41];
+const MUTED = [120, 126, 132];
+const GRID = [225, 228, 232];
+const PADDING = 24;
+const TITLE_HEIGHT = 56;
+const MAX_LABEL_LENGTH = 18;
+
+function shortLabel(label) {
+  const text = String(label || '-');
+  return text.length > MAX_LABEL_LENGTH ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}.` : text;
+}
+
+function drawTitle(canvas, title) {
+  canvas.drawText(PADDING, PADDING - 4, title, TEXT, 3);
+}
+
+// === Batas atas sumbu: kelipatan 1, 2 atau 5 x 10^n yang habis dibagi jumlah garis grid ===
+function niceAxisMax(max, ticks = 5) {
+  const raw = Math.max(1, max) / ticks;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  // Langkah minimal 1 supaya label sumbu jumlah SSL tidak pecahan
+  const step = Math.max(1, [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw));
+  return step * ticks;
+}
+
+// === Bar horizontal: satu baris per nama, panjang bar sebanding jumlah SSL ===
+function renderBarChart({ title, entries, limit = 15 }) {
+  const rows = entries.slice(0, limit);
+  const rowHeight = 34;
+  const width = 900;
+  const footer = entries.length > limit ? 30 : 0;
+  const height = TITLE_HEIGHT + rows.length * rowHeight + PADDING * 2 + footer;
+  const canvas = createCanvas(width, height);
+  drawTitle(canvas, title);
+
+  const labels = rows.map(e => shortLabel(e.label));
+  const labelWidth = Math.max(0, ...labels.map(l => canvas.textWidth(l)));
+  const valueWidth = canvas.textWidth(String(Math.max(0, ...rows.map(e => e.value))));
+  const barLeft = PADDING + labelWidth + 14;
+  const barMax = width - barLeft - PADDING - valueWidth - 12;
+  const max = Math.max(1, ...rows.map(e => e.value));
+
+  rows.forEach((entry, i) => {
+    const top = TITLE_HEIGHT + PADDING + i * rowHeight;
+    canvas.drawText(PADDING + labelWidth - canvas.textWidth(labels[i]), top + 10, labels[i], TEXT);
+    const barWidth = Math.max(2, Math.round((entry.value / max) * barMax));
+    canvas.fillRect(barLeft, top + 4, barWidth, rowHeight - 8, PALETTE[0]);
+    canvas.drawText(barLeft + barWidth + 8, top + 10, String(entry.value), TEXT);
+  });
+  if (footer) {
+    canvas.drawText(PADDING, height - PADDING - 14, `+${entries.length - limit} LAINNYA`, MUTED);
+  }
+  return canvas.toPNG();
+}
+
+// === Pie porsi per nama dengan legenda jumlah dan persen; sisa di atas limit digabung LAINNYA ===
+function renderPieChart({ title, entries, limit = 8 }) {
+  let slices = entries.filter(e => e.value > 0);
+  if (slices.length > limit) {
+    const rest = slices.slice(limit - 1).reduce((sum, e) => sum + e.value, 0);
+    slices = [...slices.slice(0, limit - 1), { label: 'LAINNYA', value: rest }];
+  }
+  const total = slices.reduce((sum, e) => sum + e.value, 0);
+  const radius = 150;
+  const legendRow = 34;
+  const width = 900;
+  const height = TITLE_HEIGHT + PADDING * 2 + Math.max(radius * 2, slices.length * legendRow);
+  const canvas = createCanvas(width, height);
+  drawTitle(canvas, title);
+
+  const cx = PADDING + radius;
+  const cy = TITLE_HEIGHT + PADDING + radius;
+  let start = 0;
+  slices.forEach((slice, i) => {
+    const end = start + (slice.value / total) * Math.PI * 2;
+    canvas.fillSector(cx, cy, radius, start, i === slices.length - 1 ? Math.PI * 2 + 1 : end, PALETTE[i % PALETTE.length]);
+    start = end;
+  });
+
+  const legendLeft = cx + radius + 40;
+  slices.forEach((slice, i) => {
+    const top = TITLE_HEIGHT + PADDING + i * legendRow;
+    canvas.fillRect(legendLeft, top + 6, 20, 20, PALETTE[i % PALETTE.length]);
+    const percent = ((slice.value / total) * 100).toFixed(1);
+    canvas.drawText(legendLeft + 32, top + 9, `${shortLabel(slice.label)} ${slice.value} (${percent}%)`, TEXT);
+  });
+  return canvas.toPNG();
+}
+
+// === Grafik garis per hari: points = [{ label, value }] urut tanggal ===
+function renderLineChart({ title, points }) {
+  const width = 900;
+  const height = 460;
+  const canvas = createCanvas(width, height);
+  drawTitle(canvas, title);
+
+  const axisMax = niceAxisMax(Math.max(0, ...points.map(p => p.value)));
+  const left = PADDING + canvas.textWidth(String(axisMax)) + 12;
+  const right = width - PADDING;
+  const top = TITLE_HEIGHT + PADDING;
+  const bottom = height - PADDING - 30;
+
+  for (let t = 0; t <= 5; t++) {
+    const y = bottom - ((bottom - top) * t) / 5;
+    canvas.drawLine(left, y, right, y, GRID);
+    const label = String((axisMax * t) / 5);
+    canvas.drawText(left - 10 - canvas.textWidth(label), y - 7, label, MUTED);
+  }
+
+  const xAt = (i) => (points.length === 1 ? (left + right) / 2 : left + ((right - left) * i) / (points.length - 1));
+  const yAt = (value) => bottom - ((bottom - top) * value) / axisMax;
+  const labelEvery = Math.ceil(points.length / 16);
+  points.forEach((point, i) => {
+    if (i > 0) canvas.drawLine(xAt(i - 1), yAt(points[i - 1].value), xAt(i), yAt(point.value), PALETTE[0], 3);
+    if (i % labelEvery === 0) {
+      const label = String(point.label);
+      canvas.drawText(xAt(i) - canvas.textWidth(label) / 2, bottom + 12, label, MUTED);
+    }
+  });
+  points.forEach((point, i) => canvas.fillCircle(xAt(i), yAt(point.value), 4, PALETTE[1]));
+  return canvas.toPNG();
+}
+
+module.exports = { niceAxisMax, renderBarChart, renderPieChart, renderLineChart };
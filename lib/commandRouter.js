@@ -0,0 +1,159 @@
+// Registry command bot: setiap command mendeklarasikan nama, alias, role, tipe chat,
+// argumen dan teks bantuan. Dispatch, /help dan menu setMyCommands dibuat dari sini.
+//
+// role       : public (siapa saja), user (user AKTIF), admin
+// chatTypes  : private dan/atau group (group termasuk supergroup)
+// groupPermission: di grup hanya jalan jika diizinkan lewat /grup izin; izin grup
+//              menggantikan syarat role admin
+// args       : [{ name, required, choices, rest }] - rest mengambil sisa teks
+const { escapeHtml } = require('./html');
+
+const ROLES = ['public', 'user', 'admin'];
+const CHAT_TYPES = ['private', 'group'];
+
+function createCommandRegistry() {
+  const commands = [];
+  const byName = new Map();
+
+  // === Daftarkan command, nama dan alias harus unik ===
+  function register(definition) {
+    const command = {
+      aliases: [],
+      role: 'user',
+      chatTypes: ['private'],
+      groupPermission: false,
+      args: [],
+      help: [],
+      examples: [],
+      menu: true,
+      ...definition,
+    };
+    if (!/^[a-z0-9_]{1,32}$/.test(command.name)) {
+      throw new Error(`Nama command tidak valid: ${command.name}`);
+    }
+    if (!ROLES.includes(command.role)) {
+      throw new Error(`Role command /${command.name} tidak dikenal: ${command.role}`);
+    }
+    if (command.chatTypes.length === 0 || command.chatTypes.some(t => !CHAT_TYPES.includes(t))) {
+      throw new Error(`Tipe chat command /${command.name} tidak valid: ${command.chatTypes.join(',')}`);
+    }
+    if (typeof command.handler !== 'function') {
+      throw new Error(`Command /${command.name} tidak punya handler`);
+    }
+    [command.name, ...command.aliases].forEach(name => {
+      const key = name.toLowerCase();
+      if (byName.has(key)) throw new Error(`Command /${key} sudah terdaftar`);
+      byName.set(key, command);
+    });
+    commands.push(command);
+    return command;
+  }
+
+  function find(name) {
+    return byName.get((name || '').toLowerCase()) || null;
+  }
+
+  // === Pecah teks "/nama arg1 arg2" -> { name, command, args, argText } ===
+  // command null jika nama tidak terdaftar; null jika teks bukan command
+  function parse(text) {
+    const match = (text || '').match(/^\/(\w+)([\s\S]*)$/);
+    if (!match) return null;
+    const argText = (match[2] || '').trim();
+    return {
+      name: match[1].toLowerCase(),
+      command: find(match[1]),
+      argText,
+      args: argText ? argText.split(/\s+/) : [],
+    };
+  }
+
+  // === Daftar command, bisa difilter per role yang terlihat dan tipe chat ===
+  function list({ admin = null, chatType = null, groupPermission = null } = {}) {
+    return commands.filter(c =>
+      (admin === null || admin || c.role !== 'admin') &&
+      (chatType === null || c.chatTypes.includes(chatType)) &&
+      (groupPermission === null || c.groupPermission === groupPermission)
+    );
+  }
+
+  return { register, find, parse, list };
+}
+
+// === Boleh jalan di chat ini? 'ok', 'ignore' (diam di grup) atau 'groupOnly' ===
+function checkChat(command, { isGroup, groupCommands = [] }) {
+  if (!isGroup) {
+    return command.chatTypes.includes('private') ? 'ok' : 'groupOnly';
+  }
+  if (!command.chatTypes.includes('group')) return 'ignore';
+  if (command.groupPermission && !groupCommands.includes(command.name)) return 'ignore';
+  return 'ok';
+}
+
+// === Cek role: user = terdaftar AKTIF, admin = ADMIN atau command grup yang diizinkan ===
+function checkRole(command, { user, admin, groupAccess = false }) {
+  switch (command.role) {
+    case 'public':
+      return true;
+    case 'user':
+      return !!user;
+    default:
+      return admin || (groupAccess && command.groupPermission);
+  }
+}
+
+function formatArg(arg) {
+  const label = escapeHtml(arg.choices ? arg.choices.join('|') : arg.name);
+  return arg.required ? `&lt;${label}&gt;` : `[${label}]`;
+}
+
+// === "/nama <wajib> [opsional]" (HTML) ===
+function formatUsage(command) {
+  return [`/${command.name}`, ...command.args.map(formatArg)].join(' ');
+}
+
+// === Validasi argumen: kembalikan pesan format jika argumen wajib kosong atau pilihan salah ===
+function checkArgs(command, args) {
+  const invalid = command.args.some((arg, i) => {
+    const value = args[i];
+    if (!value) return !!arg.required;
+    return !!arg.choices && !arg.rest && !arg.choices.includes(value.toLowerCase());
+  });
+  if (!invalid) return null;
+  let msg = `Format: ${formatUsage(command)}`;
+  command.help.forEach(line => {
+    msg += `\n${line}`;
+  });
+  if (command.examples.length > 0) msg += `\nContoh: ${command.examples.map(escapeHtml).join(', ')}`;
+  return msg;
+}
+
+// === Baris bantuan /help untuk satu command ===
+function formatHelpEntry(command) {
+  let entry = `• <code>${formatUsage(command)}</code> - ${command.description}\n`;
+  command.help.forEach(line => {
+    entry += `   ${line}\n`;
+  });
+  if (command.examples.length > 0) {
+    entry += `   Contoh: ${command.examples.map(escapeHtml).join(', ')}\n`;
+  }
+  return entry;
+}
+
+// === Daftar untuk setMyCommands (deskripsi maksimal 256 karakter) ===
+function toBotCommands(commands) {
+  return commands
+    .filter(c => c.menu)
+    .map(c => ({ command: c.name, description: c.description.replace(/<[^>]+>/g, '').slice(0, 256) }));
+}
+
+module.exports = {
+  ROLES,
+  CHAT_TYPES,
+  createCommandRegistry,
+  checkChat,
+  checkRole,
+  checkArgs,
+  formatUsage,
+  formatHelpEntry,
+  toBotCommands,
+};
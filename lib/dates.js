@@ -0,0 +1,90 @@
+// Format kolom TANGGAL REKAPAN:
+// - baru : ISO 8601 dengan offset timezone laporan, contoh 2025-09-01T14:32:05+07:00
+// - impor: tanggal ISO saja (2025-09-01) atau dd/mm/yyyy
+// - lama : teks lokal "Senin, 1 September 2025" (diubah lewat /migrasi)
+const { getZonedParts } = require('./scheduler');
+
+const MONTHS_ID = {
+  januari: 1, februari: 2, maret: 3, april: 4, mei: 5, juni: 6,
+  juli: 7, agustus: 8, september: 9, oktober: 10, november: 11, desember: 12,
+};
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// === Timestamp ISO pada timezone tertentu (default Asia/Jakarta) ===
+function formatSheetTimestamp(date = new Date(), timeZone = 'Asia/Jakarta') {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).forEach(p => {
+    parts[p.type] = p.value;
+  });
+  const asUTC = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  const offset = Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const sign = offset < 0 ? '-' : '+';
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+function isValidDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// ISO lengkap dengan jam dan offset/Z: satu titik waktu, tanggalnya tergantung timezone laporan
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/;
+
+// === Tanggal kalender dari nilai TANGGAL (format baru maupun lama) ===
+// Timestamp dibaca pada timeZone; tanggal tanpa jam dipakai apa adanya.
+// Mengembalikan { year, month, day } atau null jika tidak dikenali
+function parseSheetDateParts(value, timeZone = 'Asia/Jakarta') {
+  const text = (value || '').toString().trim();
+  if (TIMESTAMP_PATTERN.test(text) && !isNaN(new Date(text))) {
+    const { year, month, day } = getZonedParts(new Date(text), timeZone);
+    return { year, month, day };
+  }
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|[T\s])/.exec(text);
+  let parts = null;
+  if (match) {
+    parts = { year: +match[1], month: +match[2], day: +match[3] };
+  } else if ((match = /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/.exec(text))) {
+    parts = { year: +match[3], month: +match[2], day: +match[1] };
+  } else if ((match = /(\d{1,2})\s+([a-z]+)\s+(\d{4})/i.exec(text)) && MONTHS_ID[match[2].toLowerCase()]) {
+    parts = { year: +match[3], month: MONTHS_ID[match[2].toLowerCase()], day: +match[1] };
+  }
+  return parts && isValidDay(parts.year, parts.month, parts.day) ? parts : null;
+}
+
+// === Nilai TANGGAL -> Date tengah malam UTC dari tanggal kalendernya ===
+function parseSheetDate(value, timeZone = 'Asia/Jakarta') {
+  const parts = parseSheetDateParts(value, timeZone);
+  return parts ? new Date(Date.UTC(parts.year, parts.month - 1, parts.day)) : null;
+}
+
+// === Nilai TANGGAL -> ISO tanggal (2025-09-01), dipakai migrasi format lama ===
+function toISODate(value, timeZone = 'Asia/Jakarta') {
+  const parts = parseSheetDateParts(value, timeZone);
+  return parts ? `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` : null;
+}
+
+// === Label tampilan: "Senin, 1 September 2025" (+ jam jika ada) ===
+function formatSheetDateLabel(value, timeZone = 'Asia/Jakarta') {
+  const date = parseSheetDate(value, timeZone);
+  if (!date) return (value || '').toString();
+  const label = date.toLocaleDateString('id-ID', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const text = value.toString().trim();
+  if (!TIMESTAMP_PATTERN.test(text)) return label;
+  const { hour, minute } = getZonedParts(new Date(text), timeZone);
+  return `${label} ${pad(hour)}.${pad(minute)}`;
+}
+
+module.exports = { formatSheetTimestamp, parseSheetDateParts, parseSheetDate, toISODate, formatSheetDateLabel };
@@ -0,0 +1,50 @@
+// Strategi memilih baris yang dipertahankan saat ada AO ganda
+const KEEP_STRATEGIES = {
+  first: 'pertama',
+  latest: 'terbaru',
+  complete: 'paling lengkap',
+};
+
+function countFilled(row) {
+  return row.filter(cell => (cell || '').toString().trim()).length;
+}
+
+// === Pilih index baris yang dipertahankan dari satu grup duplikat ===
+function pickKeeper(data, indexes, strategy) {
+  if (strategy === 'latest') {
+    return indexes[indexes.length - 1];
+  }
+  if (strategy === 'complete') {
+    // Seri jumlah kolom terisi -> baris paling awal
+    return indexes.reduce((best, i) => (countFilled(data[i]) > countFilled(data[best]) ? i : best), indexes[0]);
+  }
+  return indexes[0];
+}
+
+// === Rencana hapus duplikat berdasarkan kolom kunci (default AO) ===
+// data termasuk header di index 0. Baris dengan AO kosong tidak dianggap duplikat.
+// Mengembalikan { groups: [{ key, keep, remove: [...] }], removeIndexes } (index 0-based sheet)
+function planDeduplication(data, { strategy = 'first', keyCol = 1 } = {}) {
+  if (!KEEP_STRATEGIES[strategy]) {
+    throw new Error(`Strategi tidak dikenal: ${strategy}`);
+  }
+  const byKey = new Map();
+  for (let i = 1; i < data.length; i++) {
+    const key = (data[i][keyCol] || '').toUpperCase().trim();
+    if (!key) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(i);
+  }
+
+  const groups = [];
+  byKey.forEach((indexes, key) => {
+    if (indexes.length < 2) return;
+    const keep = pickKeeper(data, indexes, strategy);
+    groups.push({ key, keep, remove: indexes.filter(i => i !== keep) });
+  });
+
+  const removeIndexes = groups.flatMap(g => g.remove).sort((a, b) => a - b);
+  return { groups, removeIndexes };
+}
+
+module.exports = { KEEP_STRATEGIES, planDeduplication };
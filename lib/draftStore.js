@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+// === Penyimpanan draft sementara (in-memory) dengan masa berlaku ===
+function createDraftStore({ ttlMs, now = Date.now }) {
+  const drafts = new Map();
+
+  function isExpired(draft) {
+    return now() - draft.createdAt > ttlMs;
+  }
+
+  return {
+    ttlMs,
+
+    create(data) {
+      const id = crypto.randomBytes(4).toString('hex');
+      drafts.set(id, { ...data, id, createdAt: now() });
+      return drafts.get(id);
+    },
+
+    // Draft kedaluwarsa dihapus dan mengembalikan null
+    get(id) {
+      const draft = drafts.get(id);
+      if (!draft) return null;
+      if (isExpired(draft)) {
+        drafts.delete(id);
+        return null;
+      }
+      return draft;
+    },
+
+    find(predicate) {
+      for (const draft of drafts.values()) {
+        if (!isExpired(draft) && predicate(draft)) return draft;
+      }
+      return null;
+    },
+
+    delete(id) {
+      drafts.delete(id);
+    },
+
+    sweep() {
+      for (const [id, draft] of drafts) {
+        if (isExpired(draft)) drafts.delete(id);
+      }
+    },
+  };
+}
+
+module.exports = { createDraftStore };
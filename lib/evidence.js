@@ -0,0 +1,106 @@
+const { parseAktivasi } = require('./parseAktivasi');
+const { escapeHtml } = require('./html');
+
+// === Bagian laporan aktivasi tanpa foto bukti (belum lengkap) ===
+// rows = baris REKAPAN, evidenceAOs = Set AO (huruf besar) yang sudah punya foto.
+// listAOs: tampilkan daftar AO (laporan harian); selain itu jumlah per teknisi
+function formatEvidenceSection(rows, evidenceAOs, { listAOs = false, limit = 10 } = {}) {
+  const missing = rows.filter(row => !evidenceAOs.has((row[1] || '').toUpperCase().trim()));
+  let msg = `\n📷 BUKTI FOTO: ${rows.length - missing.length}/${rows.length} lengkap\n`;
+  if (missing.length === 0) return msg;
+
+  msg += `Belum lengkap (${missing.length}):\n`;
+  if (listAOs) {
+    missing.slice(0, limit).forEach(row => {
+      msg += `- ${escapeHtml(row[1] || '-')} (${escapeHtml((row[11] || '-').toUpperCase())})\n`;
+    });
+    if (missing.length > limit) msg += `... dan ${missing.length - limit} lainnya\n`;
+  } else {
+    const perTeknisi = {};
+    missing.forEach(row => {
+      const teknisi = (row[11] || '-').toUpperCase();
+      perTeknisi[teknisi] = (perTeknisi[teknisi] || 0) + 1;
+    });
+    Object.entries(perTeknisi).sort((a, b) => b[1] - a[1]).slice(0, limit).forEach(([t, c]) => {
+      msg += `- ${escapeHtml(t)}: ${c} AO\n`;
+    });
+  }
+  return msg;
+}
+
+// === AO tujuan foto tanpa caption /aktivasi: balasan ke konfirmasi bot atau ke /aktivasi sendiri ===
+function findEvidenceAO(msg, user, username) {
+  const replyTo = msg.reply_to_message;
+  if (!replyTo) return null;
+
+  // Konfirmasi "Data berhasil disimpan" dari bot memuat baris "AO: <nomor>"
+  const replyText = replyTo.text || replyTo.caption || '';
+  const confirmed = replyTo.from && replyTo.from.is_bot && replyText.match(/^AO: (\S+)$/m);
+  if (confirmed) return confirmed[1];
+
+  // Balasan ke pesan /aktivasi milik sendiri
+  if (replyTo.from && msg.from && replyTo.from.id === msg.from.id && /^\/aktivasi\b/i.test(replyText)) {
+    return parseAktivasi(replyText.replace(/^\/aktivasi\S*\s*/i, ''), user, username).ao || null;
+  }
+  return null;
+}
+
+// === Album foto bukti per media_group_id ===
+// Telegram mengirim album sebagai pesan terpisah yang diproses bersamaan, dan tujuan album
+// (draft atau AO) baru diketahui setelah pesan pemimpin (caption /aktivasi atau balasan) selesai
+// diproses. Pemimpin memanggil claim() sebelum await pertama; foto lain yang datang sebelum
+// resolve() ditahan, lalu dikembalikan oleh resolve() untuk disimpan ke tujuan yang sama.
+function createEvidenceAlbums({ ttlMs, now = Date.now }) {
+  const albums = new Map();
+
+  function prune() {
+    for (const [id, album] of albums) {
+      if (now() - album.createdAt >= ttlMs) albums.delete(id);
+    }
+  }
+
+  function entry(groupId) {
+    prune();
+    let album = albums.get(groupId);
+    if (!album) {
+      album = { claimed: false, target: null, pending: [], createdAt: now() };
+      albums.set(groupId, album);
+    }
+    return album;
+  }
+
+  return {
+    // true jika pesan ini menjadi pemimpin album (belum ada pemimpin lain)
+    claim(groupId) {
+      const album = entry(groupId);
+      if (album.claimed) return false;
+      album.claimed = true;
+      return true;
+    },
+
+    // Foto lanjutan: tujuan album jika sudah diketahui, atau null jika foto ditahan dulu
+    add(groupId, item) {
+      const album = entry(groupId);
+      if (album.target) return album.target;
+      album.pending.push(item);
+      return null;
+    },
+
+    // Tujuan album diketahui: foto yang ditahan dikembalikan untuk disimpan
+    resolve(groupId, target) {
+      const album = entry(groupId);
+      album.target = target;
+      const pending = album.pending;
+      album.pending = [];
+      return pending;
+    },
+
+    // Pemimpin gagal (AO tidak ada, validasi gagal, ...): album tanpa tujuan dilupakan
+    abandon(groupId) {
+      const album = albums.get(groupId);
+      if (album && !album.target) albums.delete(groupId);
+    },
+  };
+}
+
+module.exports = { formatEvidenceSection, findEvidenceAO, createEvidenceAlbums };
@@ -0,0 +1,8 @@
+// === Escape teks untuk parse_mode HTML Telegram ===
+// null/undefined menjadi string kosong, nilai lain (angka, Date) diubah ke string
+function escapeHtml(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = { escapeHtml };
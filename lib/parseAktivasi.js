@@ -0,0 +1,33 @@
+// === Parser pesan /aktivasi multi-format ===
+// Format dikenali lewat registry di lib/parsers (TSEL, BGES/WMS, manual); format baru cukup
+// ditambahkan sebagai parser baru tanpa mengubah fungsi ini.
+const { createParserRegistry } = require('./parsers');
+const { detectOwner } = require('./parsers/common');
+
+const defaultRegistry = createParserRegistry();
+
+function resolveTeknisi(userRow, username) {
+  return (userRow && userRow[1]) ? (userRow[1] || username).replace('@', '') : (username || '');
+}
+
+// === Hasil parse beserta diagnostik ===
+// { parsed, parser: { name, label }, score, trace, guessed, candidates: [{ name, label, score }] }
+// guessed = field yang terisi dari aturan heuristic (tebakan), perlu dicek sebelum disimpan
+function parseAktivasiDetailed(text, userRow, username, registry = defaultRegistry) {
+  const result = registry.parse(text);
+  const describe = parser => ({ name: parser.name, label: parser.label });
+  return {
+    parsed: { ...result.fields, teknisi: resolveTeknisi(userRow, username) },
+    parser: result.parser ? describe(result.parser) : null,
+    score: result.score,
+    trace: result.trace,
+    guessed: Object.keys(result.trace).filter(key => result.trace[key].source === 'heuristic'),
+    candidates: result.candidates.map(c => ({ ...describe(c.parser), score: c.score })),
+  };
+}
+
+function parseAktivasi(text, userRow, username) {
+  return parseAktivasiDetailed(text, userRow, username).parsed;
+}
+
+module.exports = { parseAktivasi, parseAktivasiDetailed, detectOwner };
@@ -0,0 +1,76 @@
+const { SN_PREFIX_PATTERNS, label, heuristic, findValue, labelValue, detectOwner } = require('./common');
+
+// Log bertimestamp ekspor BS/INDIBIZ: "01/09/2025 08:15 5481234 NAMA PELANGGAN  STATUS"
+const LOG_CUSTOMER_PATTERN = /\d{2}\/\d{2}\/\d{4}\s+\d{2}:\d{2}\s+\d+\s+([A-Z0-9\s]+?)\s{2,}/;
+
+// === Format BGES/WMS: ekspor BS/INDIBIZ dengan SC ORDER NO atau baris log AO| ===
+module.exports = {
+  name: 'bges',
+  label: 'BGES/WMS (SC ORDER NO / log AO|)',
+  detect: ({ text }) => {
+    const owner = detectOwner(text);
+    if (owner === 'WMS' || owner === 'BGES') return 80;
+    // Struktur ekspor tanpa penanda owner
+    return /SC\s*ORDER\s*NO\s*:|AO\|.*SC\d{6,}/i.test(text) ? 50 : 0;
+  },
+  fields: {
+    ao: [
+      // Diberi prefix SC jika nomor order hanya angka
+      label('SC ORDER NO :', ({ text }) => {
+        const scOrder = findValue(text, [/SC\s*ORDER\s*NO\s*:\s*([0-9A-Za-z\-]+)/i]);
+        return !scOrder || /^SC/i.test(scOrder) ? scOrder : `SC${scOrder}`;
+      }),
+      heuristic('SC di baris AO| terakhir', ({ text }) => {
+        const aoMatches = text.match(/AO\|.*?(SC\d{6,})/g);
+        if (!aoMatches) return '';
+        const scMatch = aoMatches[aoMatches.length - 1].match(/SC(\d{6,})/);
+        return scMatch ? `SC${scMatch[1]}` : '';
+      }),
+    ],
+    workorder: [heuristic('sama dengan AO', (ctx, fields) => fields.ao)],
+    serviceNo: [
+      label('SERVICE NO :', ({ text }) => findValue(text, [/SERVICE\s*NO\s*:\s*([0-9A-Za-z\-]+)/i])),
+      heuristic('angka 11-12 digit terakhir', ({ text }) => {
+        const numbers = text.match(/\b\d{11,12}\b/g);
+        return numbers ? numbers[numbers.length - 1] : '';
+      }),
+    ],
+    customerName: [
+      label('CUSTOMER NAME :', ({ text }) => findValue(text, [/CUSTOMER\s*NAME\s*:\s*(.+)/i])),
+      heuristic('nama di log bertimestamp', ({ text }) => {
+        const logLine = text.match(LOG_CUSTOMER_PATTERN);
+        return logLine ? logLine[1].trim() : '';
+      }),
+      heuristic('segmen pertama ADDRESS', ({ text }) => {
+        const firstSegment = findValue(text, [/ADDRESS\s*:\s*(.+)/i]).split('|')[0].trim();
+        return /[A-Z]/i.test(firstSegment) ? firstSegment : '';
+      }),
+      heuristic('MITRA', ({ text }) => findValue(text, [/MITRA\s*:\s*(.+)/i])),
+    ],
+    // Pesan BGES dicatat dengan owner channel-nya (BS); MITRA tidak menimpa owner
+    owner: [
+      heuristic('kata WMS/BGES di judul', ({ text }) => {
+        const owner = detectOwner(text);
+        if (owner === 'WMS') return 'WMS';
+        return owner === 'BGES' ? 'BS' : '';
+      }),
+      label('OWNER :', ({ lines }) => labelValue(lines, 'OWNER')),
+    ],
+    workzone: [
+      label('WORKZONE :', ({ text }) => findValue(text, [/WORKZONE\s*:\s*([A-Z0-9\-\/]+)/i])),
+      heuristic('kode setelah AO| terakhir', ({ text }) => {
+        const aoLines = text.match(/AO\|\s+([A-Z]{2,})/g);
+        return aoLines ? aoLines[aoLines.length - 1].match(/AO\|\s+([A-Z]{2,})/)[1] : '';
+      }),
+      heuristic('ODP', ({ text }) => findValue(text, [/ODP\s*:\s*([A-Z0-9\-\/]+)/i])),
+    ],
+    snOnt: [
+      label('SN ONT', ({ text }) => findValue(text, [/SN\s*ONT[:\s]+([A-Z0-9]+)/i])),
+      heuristic('prefix serial ONT', ({ text }) => findValue(text, SN_PREFIX_PATTERNS)),
+      label('SN ONT (dengan tanda -)', ({ text }) => findValue(text, [/SN\s*ONT\s*[:\s]*([A-Z0-9\-]+)/i])),
+    ],
+    nikOnt: [label('NIK ONT', ({ text }) => findValue(text, [/NIK\s*ONT[:\s]+(\d+)/i]))],
+    stbId: [label('STB ID', ({ text }) => findValue(text, [/STB\s*ID[:\s]+([A-Z0-9]+)/i]))],
+    nikStb: [label('NIK STB', ({ text }) => findValue(text, [/NIK\s*STB[:\s]+(\d+)/i]))],
+  },
+};
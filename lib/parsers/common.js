@@ -0,0 +1,64 @@
+// Helper bersama untuk parser format pesan /aktivasi
+
+// Prefix serial number ONT yang dikenali tanpa label SN ONT
+const SN_PREFIX_PATTERNS = [
+  /(ZTEG[A-Z0-9]+)/i,
+  /(HWTC[A-Z0-9]+)/i,
+  /(HUAW[A-Z0-9]+)/i,
+  /(FHTT[A-Z0-9]+)/i,
+  /(FIBR[A-Z0-9]+)/i,
+];
+
+// Baris bernilai bebas (nama, alamat, log bertimestamp) tidak dipakai untuk menebak owner,
+// supaya "PT BGES JAYA" di CUSTOMER NAME tidak membuat pesan dianggap format BGES
+const FREE_TEXT_LINE = /^(CUSTOMER\s*NAME|ADDRESS|ALAMAT|MITRA|PAKET|CONTACT\s*PHONE)\b|^\d{2}\/\d{2}\/\d{4}\s+\d{2}:\d{2}/i;
+
+// === Aturan ekstraksi field: label = nilai dari label eksplisit, heuristic = tebakan/fallback ===
+function label(rule, extract) {
+  return { rule, source: 'label', extract };
+}
+
+function heuristic(rule, extract) {
+  return { rule, source: 'heuristic', extract };
+}
+
+// === Nilai pertama yang cocok dari daftar regex (group 1, atau match terakhir untuk regex global) ===
+function findValue(text, patterns) {
+  for (const pattern of patterns) {
+    const matches = text.match(pattern);
+    if (matches) {
+      if (pattern.global) {
+        return matches[matches.length - 1];
+      } else if (matches[1]) {
+        return matches[1].trim();
+      }
+    }
+  }
+  return '';
+}
+
+// === Nilai baris "LABEL : nilai" (label harus di awal baris) ===
+function labelValue(lines, label) {
+  const line = lines.find(l => l.toUpperCase().startsWith(label.toUpperCase() + ' :'));
+  return line ? line.split(':').slice(1).join(':').trim() : '';
+}
+
+// === Owner dari penanda format pesan ===
+// CHANNEL : BS -> BS, CHANNEL : DIGIPOS/PDA -> TSEL, kata WMS (atau salah ketik MWS) -> WMS,
+// kata BGES -> BGES. Kata dicari utuh dan di luar baris bernilai bebas.
+function detectOwner(text) {
+  const channel = /^\s*CHANNEL\s*:\s*(BS|DIGIPOS|PDA)\b/im.exec(text);
+  if (channel) {
+    return channel[1].toUpperCase() === 'BS' ? 'BS' : 'TSEL';
+  }
+  const markerText = text.split('\n').filter(line => !FREE_TEXT_LINE.test(line.trim())).join('\n');
+  if (/\b(WMS|MWS)\b/i.test(markerText)) {
+    return 'WMS';
+  }
+  if (/\bBGES\b/i.test(markerText)) {
+    return 'BGES';
+  }
+  return '';
+}
+
+module.exports = { SN_PREFIX_PATTERNS, label, heuristic, findValue, labelValue, detectOwner };
@@ -0,0 +1,87 @@
+const tsel = require('./tsel');
+const bges = require('./bges');
+const manual = require('./manual');
+
+// Registry parser format pesan /aktivasi. Setiap parser berupa:
+// { name, label, detect(ctx) -> skor 0-100, fields: { key: [aturan, ...] } }
+// Aturan { rule, source: label|heuristic, extract(ctx, fields) } dicoba berurutan sampai ada nilai;
+// fungsi biasa dianggap satu aturan label. ctx = { text, lines }. Field diekstrak berurutan, sehingga
+// aturan bisa memakai field sebelumnya (misalnya WORKORDER jatuh ke AO).
+// Skor tertinggi menang; skor sama -> urutan daftar.
+const FIELD_KEYS = ['ao', 'workorder', 'serviceNo', 'customerName', 'owner', 'workzone', 'snOnt', 'nikOnt', 'stbId', 'nikStb'];
+
+const DEFAULT_PARSERS = [tsel, bges, manual];
+
+function createParserRegistry(parsers = DEFAULT_PARSERS) {
+  const registered = [];
+
+  // === Daftarkan parser, nama harus unik ===
+  function register(parser) {
+    if (!parser || !/^[a-z0-9_-]+$/.test(parser.name || '')) {
+      throw new Error(`Nama parser tidak valid: ${parser && parser.name}`);
+    }
+    if (registered.some(p => p.name === parser.name)) {
+      throw new Error(`Parser ${parser.name} sudah terdaftar`);
+    }
+    if (typeof parser.detect !== 'function' || !parser.fields) {
+      throw new Error(`Parser ${parser.name} harus punya detect dan fields`);
+    }
+    const unknown = Object.keys(parser.fields).filter(key => !FIELD_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Parser ${parser.name} punya field tidak dikenal: ${unknown.join(', ')}`);
+    }
+    const fields = {};
+    Object.entries(parser.fields).forEach(([key, rules]) => {
+      fields[key] = typeof rules === 'function' ? [{ rule: key, source: 'label', extract: rules }] : rules;
+      if (!Array.isArray(fields[key]) || fields[key].some(r => typeof r.extract !== 'function')) {
+        throw new Error(`Aturan field ${key} pada parser ${parser.name} tidak valid`);
+      }
+    });
+    registered.push({ label: parser.name, ...parser, fields });
+    return parser;
+  }
+
+  // === Skor semua parser untuk teks ini, urut dari yang tertinggi (skor 0 dibuang) ===
+  function detect(text) {
+    const ctx = createContext(text);
+    return registered
+      .map(parser => ({ parser, score: Math.max(0, Math.min(100, Number(parser.detect(ctx)) || 0)) }))
+      .filter(c => c.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // === Parse dengan parser berskor tertinggi ===
+  // { fields, trace, parser, score, candidates }; parser null jika tidak ada yang mengenali teks.
+  // trace[key] = { value, rule, source, tried } - aturan yang dipakai dan aturan sebelumnya yang kosong
+  function parse(text) {
+    const candidates = detect(text);
+    const best = candidates[0] || null;
+    const fields = {};
+    const trace = {};
+    const ctx = createContext(text);
+    FIELD_KEYS.forEach(key => {
+      const rules = (best && best.parser.fields[key]) || [];
+      const tried = [];
+      trace[key] = { value: '', rule: null, source: null, tried };
+      for (const rule of rules) {
+        const value = String(rule.extract(ctx, fields) || '').trim();
+        if (value) {
+          trace[key] = { value, rule: rule.rule, source: rule.source, tried };
+          break;
+        }
+        tried.push(rule.rule);
+      }
+      fields[key] = trace[key].value;
+    });
+    return { fields, trace, parser: best && best.parser, score: best ? best.score : 0, candidates };
+  }
+
+  parsers.forEach(register);
+  return { register, detect, parse, list: () => registered.slice() };
+}
+
+function createContext(text) {
+  return { text, lines: text.split('\n').map(l => l.trim()).filter(l => l) };
+}
+
+module.exports = { FIELD_KEYS, DEFAULT_PARSERS, createParserRegistry };
@@ -0,0 +1,35 @@
+const { SN_PREFIX_PATTERNS, label, heuristic, findValue, labelValue, detectOwner } = require('./common');
+
+// Aturan label: "LABEL : nilai" di awal baris, lalu label longgar (tanpa titik dua / spasi)
+function labelled(name, loosePattern) {
+  return [
+    label(`${name} :`, ({ lines }) => labelValue(lines, name)),
+    label(`${name} (longgar)`, ({ text }) => findValue(text, [loosePattern])),
+  ];
+}
+
+// === Format manual "LABEL : nilai", dipakai juga sebagai fallback ===
+// Pesan yang menyebut OWNER sendiri lebih dipercaya daripada tebakan dari penanda format.
+module.exports = {
+  name: 'manual',
+  label: 'Manual (LABEL : nilai)',
+  detect: ({ lines }) => (lines.some(l => /^OWNER\s*:/i.test(l)) ? 85 : 10),
+  fields: {
+    ao: labelled('AO', /AO[:\s]+([A-Z0-9]+)/i),
+    workorder: labelled('WORKORDER', /WORKORDER[:\s]+([A-Z0-9-]+)/i),
+    serviceNo: labelled('SERVICE NO', /SERVICE\s*NO[:\s]+(\d+)/i),
+    customerName: labelled('CUSTOMER NAME', /CUSTOMER\s*NAME[:\s]+(.+)/i),
+    owner: [
+      ...labelled('OWNER', /OWNER[:\s]+([A-Z0-9]+)/i),
+      heuristic('penanda CHANNEL/WMS/BGES', ({ text }) => detectOwner(text)),
+    ],
+    workzone: labelled('WORKZONE', /WORKZONE[:\s]+([A-Z0-9]+)/i),
+    snOnt: [
+      ...labelled('SN ONT', /SN\s*ONT[:\s]+([A-Z0-9]+)/i),
+      heuristic('prefix serial ONT', ({ text }) => findValue(text, SN_PREFIX_PATTERNS)),
+    ],
+    nikOnt: labelled('NIK ONT', /NIK\s*ONT[:\s]+(\d+)/i),
+    stbId: labelled('STB ID', /STB\s*ID[:\s]+([A-Z0-9]+)/i),
+    nikStb: labelled('NIK STB', /NIK\s*STB[:\s]+(\d+)/i),
+  },
+};
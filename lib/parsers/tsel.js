@@ -0,0 +1,31 @@
+const { SN_PREFIX_PATTERNS, label, heuristic, findValue, detectOwner } = require('./common');
+
+// === Format TSEL: pesan dengan CHANNEL : DIGIPOS atau CHANNEL : PDA ===
+module.exports = {
+  name: 'tsel',
+  label: 'TSEL (CHANNEL DIGIPOS/PDA)',
+  detect: ({ text }) => (detectOwner(text) === 'TSEL' ? 90 : 0),
+  fields: {
+    ao: [
+      label('AO :', ({ text }) => findValue(text, [/AO\s*:\s*([A-Za-z0-9]+)/i])),
+      heuristic('kata setelah AO', ({ text }) => findValue(text, [/AO\s*([A-Za-z0-9]+)/i])),
+    ],
+    workorder: [
+      label('WORKORDER :', ({ text }) => findValue(text, [/WORKORDER\s*:\s*([A-Za-z0-9]+)/i])),
+      heuristic('sama dengan AO', (ctx, fields) => fields.ao),
+    ],
+    serviceNo: [label('SERVICE NO :', ({ text }) => findValue(text, [/SERVICE\s*NO\s*:\s*(\d+)/i]))],
+    // Sampai akhir baris supaya label berikutnya (WORKZONE) tidak ikut terambil
+    customerName: [label('CUSTOMER NAME :', ({ text }) => findValue(text, [/CUSTOMER\s*NAME\s*:\s*([^\r\n]+)/i]))],
+    owner: [label('CHANNEL : DIGIPOS/PDA', () => 'TSEL')],
+    workzone: [label('WORKZONE :', ({ text }) => findValue(text, [/WORKZONE\s*:\s*([A-Z0-9]+)/i]))],
+    snOnt: [
+      label('SN ONT :', ({ text }) => findValue(text, [/SN\s*ONT\s*:\s*([A-Z0-9]+)/i])),
+      heuristic('prefix serial ONT', ({ text }) => findValue(text, [/(ZTEGDA[A-Z0-9]+)/i, ...SN_PREFIX_PATTERNS.slice(1)])),
+    ],
+    nikOnt: [label('NIK ONT :', ({ text }) => findValue(text, [/NIK\s*ONT\s*:\s*(\d+)/i]))],
+    stbId: [label('STB ID :', ({ text }) => findValue(text, [/STB\s*ID\s*:\s*([A-Z0-9]+)/i]))],
+    // NIK STB hanya dibaca jika ada STB ID
+    nikStb: [label('NIK STB :', ({ text }, fields) => (fields.stbId ? findValue(text, [/NIK\s*STB\s*:\s*(\d+)/i]) : ''))],
+  },
+};
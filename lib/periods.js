@@ -0,0 +1,147 @@
+// Periode laporan dihitung sebagai tanggal kalender pada timezone laporan (REPORT_TIMEZONE),
+// bukan jam lokal server. Semua tanggal berupa Date tengah malam UTC, sama dengan parseSheetDate.
+const { getZonedParts } = require('./scheduler');
+
+const DEFAULT_TIMEZONE = 'Asia/Jakarta';
+const REPORT_PERIODS = ['daily', 'weekly', 'monthly'];
+
+// Singkatan zona waktu Indonesia untuk label laporan
+const TIMEZONE_LABELS = {
+  'Asia/Jakarta': 'WIB',
+  'Asia/Pontianak': 'WIB',
+  'Asia/Makassar': 'WITA',
+  'Asia/Jayapura': 'WIT',
+};
+
+// === Validasi timezone IANA dari environment (kosong = Asia/Jakarta) ===
+function resolveTimeZone(value) {
+  const timeZone = (value || '').trim() || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (e) {
+    throw new Error(`REPORT_TIMEZONE tidak dikenali: ${timeZone}`);
+  }
+  return timeZone;
+}
+
+function getTimeZoneLabel(timeZone) {
+  return TIMEZONE_LABELS[timeZone] || timeZone;
+}
+
+// === Tanggal hari ini pada timezone laporan ===
+function getZonedToday(now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// === Argumen tanggal dd/mm/yyyy, dd-mm-yyyy atau dd/mm (tahun dari today) ===
+function parseDateInput(value, today) {
+  const match = (value || '').trim().match(/^(\d{1,2})[\/\-](\d{1,2})(?:[\/\-](\d{4}))?$/);
+  if (!match) return null;
+  const year = match[3] ? parseInt(match[3]) : today.getUTCFullYear();
+  const month = parseInt(match[2]) - 1;
+  const date = new Date(Date.UTC(year, month, parseInt(match[1])));
+  return date.getUTCMonth() === month && date.getUTCDate() === parseInt(match[1]) ? date : null;
+}
+
+// === Rentang inklusif daily/weekly (Senin-Minggu)/monthly yang memuat tanggal acuan ===
+function getPeriodRange(period, reference) {
+  const year = reference.getUTCFullYear();
+  const month = reference.getUTCMonth();
+  const day = reference.getUTCDate();
+  switch (period) {
+    case 'daily':
+      return { startDate: new Date(reference), endDate: new Date(reference) };
+    case 'weekly': {
+      const dayOfWeek = reference.getUTCDay();
+      const monday = day + (dayOfWeek === 0 ? -6 : 1 - dayOfWeek);
+      return { startDate: new Date(Date.UTC(year, month, monday)), endDate: new Date(Date.UTC(year, month, monday + 6)) };
+    }
+    case 'monthly':
+      return { startDate: new Date(Date.UTC(year, month, 1)), endDate: new Date(Date.UTC(year, month + 1, 0)) };
+    default:
+      return null;
+  }
+}
+
+// === Tanggal acuan yang digeser n periode (negatif = ke belakang) ===
+// Bulanan memakai tanggal 1 supaya 31 Maret - 1 bulan tidak melompat ke 3 Maret
+function shiftPeriodReference(period, reference, steps) {
+  const year = reference.getUTCFullYear();
+  const month = reference.getUTCMonth();
+  const day = reference.getUTCDate();
+  switch (period) {
+    case 'daily':
+      return new Date(Date.UTC(year, month, day + steps));
+    case 'weekly':
+      return new Date(Date.UTC(year, month, day + steps * 7));
+    case 'monthly':
+      return new Date(Date.UTC(year, month + steps, 1));
+    default:
+      return null;
+  }
+}
+
+// === Rentang periode sebelumnya untuk perbandingan ===
+// Jika periode acuan masih berjalan (memuat today), periode sebelumnya dipotong sepanjang hari
+// yang sudah lewat, supaya Senin-Rabu minggu ini dibandingkan dengan Senin-Rabu minggu lalu
+function getPreviousPeriodRange(period, reference, today) {
+  const current = getPeriodRange(period, reference);
+  if (!current) return null;
+  const previous = getPeriodRange(period, shiftPeriodReference(period, reference, -1));
+  if (today >= current.startDate && today <= current.endDate) {
+    const elapsed = Math.round((today - current.startDate) / 86400000);
+    const end = new Date(previous.startDate.getTime() + elapsed * 86400000);
+    if (end < previous.endDate) previous.endDate = end;
+  }
+  return previous;
+}
+
+// === Label rentang: "01/09/2025", "01/09-07/09/2025" atau "09/2025" untuk satu bulan penuh ===
+function formatRangeLabel({ startDate, endDate }) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const dayMonth = (date) => `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}`;
+  const full = (date) => `${dayMonth(date)}/${date.getUTCFullYear()}`;
+  if (startDate.getTime() === endDate.getTime()) return full(startDate);
+  const monthEnd = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + 1, 0));
+  if (startDate.getUTCDate() === 1 && endDate.getTime() === monthEnd.getTime()) {
+    return `${pad(startDate.getUTCMonth() + 1)}/${startDate.getUTCFullYear()}`;
+  }
+  if (startDate.getUTCFullYear() !== endDate.getUTCFullYear()) return `${full(startDate)}-${full(endDate)}`;
+  return `${dayMonth(startDate)}-${full(endDate)}`;
+}
+
+// === Tanggal -> "2025-09-01" (nama file, kunci hari) ===
+function formatDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Opsi laporan yang boleh ditulis bersama tanggal: banding (periode sebelumnya), grafik (PNG)
+const REPORT_OPTIONS = ['banding', 'grafik'];
+
+// === Argumen laporan "[tanggal] [banding] [grafik]" (urutan bebas) ===
+// Argumen pertama yang bukan opsi dianggap tanggal
+function parseReportArgs(args) {
+  const options = args.map(a => a.toLowerCase());
+  return {
+    customDate: args.find(a => !REPORT_OPTIONS.includes(a.toLowerCase())) || null,
+    compare: options.includes('banding'),
+    charts: options.includes('grafik'),
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  REPORT_PERIODS,
+  resolveTimeZone,
+  getTimeZoneLabel,
+  getZonedToday,
+  parseDateInput,
+  getPeriodRange,
+  shiftPeriodReference,
+  getPreviousPeriodRange,
+  formatRangeLabel,
+  formatDateKey,
+  REPORT_OPTIONS,
+  parseReportArgs,
+};
@@ -0,0 +1,97 @@
+// === Komponen tanggal/jam pada timezone tertentu (default Asia/Jakarta) ===
+function getZonedParts(date = new Date(), timeZone = 'Asia/Jakarta') {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23',
+  }).formatToParts(date).forEach(p => {
+    parts[p.type] = p.value;
+  });
+  const year = parseInt(parts.year);
+  const month = parseInt(parts.month);
+  return {
+    year,
+    month,
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    daysInMonth: new Date(Date.UTC(year, month, 0)).getUTCDate(),
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+// === Cek apakah jadwal jatuh tempo pada menit ini ===
+// daily: setiap hari, weekly: hari Minggu, monthly: hari terakhir bulan
+function isScheduleDue(schedule, parts) {
+  const [hour, minute] = schedule.time.split(':').map(n => parseInt(n));
+  if (parts.hour !== hour || parts.minute !== minute) return false;
+
+  switch (schedule.report) {
+    case 'daily':
+      return true;
+    case 'weekly':
+      return parts.weekday === 0;
+    case 'monthly':
+      return parts.day === parts.daysInMonth;
+    default:
+      return false;
+  }
+}
+
+// === Scheduler laporan otomatis: cek jadwal setiap intervalMs ===
+function createReportScheduler({ loadSchedules, runSchedule, timeZone = 'Asia/Jakarta', intervalMs = 30 * 1000 }) {
+  const sent = new Set();
+  let sentDateKey = null;
+  let timer = null;
+
+  async function tick(now = new Date()) {
+    const parts = getZonedParts(now, timeZone);
+    if (parts.dateKey !== sentDateKey) {
+      sent.clear();
+      sentDateKey = parts.dateKey;
+    }
+    let schedules;
+    try {
+      schedules = await loadSchedules();
+    } catch (error) {
+      console.error('Error loading schedules:', error.message);
+      return;
+    }
+
+    for (const schedule of schedules) {
+      const key = `${schedule.id}:${parts.dateKey}`;
+      if (sent.has(key) || !isScheduleDue(schedule, parts)) continue;
+      sent.add(key);
+      try {
+        await runSchedule(schedule);
+      } catch (error) {
+        console.error(`Error running schedule ${schedule.id}:`, error.message);
+      }
+    }
+  }
+
+  return {
+    tick,
+
+    start() {
+      if (!timer) {
+        timer = setInterval(() => tick(), intervalMs);
+        timer.unref();
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = { getZonedParts, isScheduleDue, createReportScheduler };
@@ -0,0 +1,72 @@
+// === Cache in-memory untuk getValues dengan TTL ===
+// Setiap sheet disimpan terpisah dan dibuang setelah setiap penulisan dari proses ini. Perubahan manual di Google Sheets terlihat setelah TTL habis atau /refresh.
+function createCachedStorage(storage, { ttlMs, now = Date.now }) {
+  const entries = new Map();
+
+  // Salin baris agar caller yang mengubah array tidak merusak isi cache
+  function copyRows(rows) {
+    return rows.map(row => row.slice());
+  }
+
+  function invalidate(sheetName) {
+    if (sheetName === undefined) {
+      const count = entries.size;
+      entries.clear();
+      return count;
+    }
+    return entries.delete(sheetName) ? 1 : 0;
+  }
+
+  async function write(sheetName, operation) {
+    try {
+      return await operation();
+    } finally {
+      invalidate(sheetName);
+    }
+  }
+
+  return {
+    name: storage.name,
+    ttlMs,
+
+    async getValues(sheetName) {
+      if (ttlMs <= 0) return storage.getValues(sheetName);
+
+      let entry = entries.get(sheetName);
+      if (!entry || now() - entry.loadedAt > ttlMs) {
+        // Promise disimpan supaya pembacaan bersamaan hanya memicu satu request
+        entry = { loadedAt: now(), rows: storage.getValues(sheetName) };
+        entries.set(sheetName, entry);
+        entry.rows.catch(() => {
+          if (entries.get(sheetName) === entry) entries.delete(sheetName);
+        });
+      }
+      return copyRows(await entry.rows);
+    },
+
+    appendRow(sheetName, values) {
+      return write(sheetName, () => storage.appendRow(sheetName, values));
+    },
+
+    appendRows(sheetName, rows) {
+      return write(sheetName, () => storage.appendRows(sheetName, rows));
+    },
+
+    updateRange(sheetName, range, values) {
+      return write(sheetName, () => storage.updateRange(sheetName, range, values));
+    },
+
+    deleteRows(sheetName, rowIndexes) {
+      return write(sheetName, () => storage.deleteRows(sheetName, rowIndexes));
+    },
+
+    ensureSheet(sheetName, headers) {
+      return write(sheetName, () => storage.ensureSheet(sheetName, headers));
+    },
+
+    // Tanpa argumen: kosongkan semua sheet. Mengembalikan jumlah sheet yang dibuang.
+    invalidate,
+  };
+}
+
+module.exports = { createCachedStorage };
@@ -0,0 +1,133 @@
+const { google } = require('googleapis');
+
+// === Parse service account key (JSON langsung atau base64) ===
+function parseServiceAccountKey(rawKey) {
+  let keyData = rawKey;
+
+  // Check if it's base64 encoded
+  if (!keyData.startsWith('{')) {
+    try {
+      keyData = Buffer.from(keyData, 'base64').toString('utf-8');
+    } catch (e) {
+      console.log('Not base64 encoded, using as is');
+    }
+  }
+
+  return JSON.parse(keyData);
+}
+
+// === Storage backend: Google Sheets ===
+function createGoogleSheetsStorage({ sheetId, serviceAccountKey }) {
+  if (!sheetId) {
+    throw new Error('SHEET_ID environment variable is not set!');
+  }
+  if (!serviceAccountKey) {
+    throw new Error('GOOGLE_SERVICE_ACCOUNT_KEY environment variable is not set!');
+  }
+
+  let serviceAccount;
+  try {
+    serviceAccount = parseServiceAccountKey(serviceAccountKey);
+    console.log('Google Service Account parsed successfully');
+  } catch (e) {
+    console.error('First 100 chars of key:', serviceAccountKey.substring(0, 100));
+    throw new Error(`parsing GOOGLE_SERVICE_ACCOUNT_KEY: ${e.message}`);
+  }
+
+  const auth = new google.auth.GoogleAuth({
+    credentials: serviceAccount,
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+  const sheets = google.sheets({ version: 'v4', auth });
+
+  // Nilai ditulis apa adanya (RAW). Dengan USER_ENTERED, TANGGAL "2025-09-01" diubah jadi tipe
+  // tanggal dan dibaca kembali dalam format locale spreadsheet (misalnya 9/1/2025).
+  const valueInputOption = 'RAW';
+
+  return {
+    name: 'sheets',
+
+    async getValues(sheetName) {
+      const res = await sheets.spreadsheets.values.get({
+        spreadsheetId: sheetId,
+        range: sheetName,
+      });
+      return res.data.values || [];
+    },
+
+    async appendRow(sheetName, values) {
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: sheetId,
+        range: sheetName,
+        valueInputOption,
+        resource: { values: [values] },
+      });
+    },
+
+    async appendRows(sheetName, rows) {
+      if (rows.length === 0) return;
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: sheetId,
+        range: sheetName,
+        valueInputOption,
+        resource: { values: rows },
+      });
+    },
+
+    async updateRange(sheetName, range, values) {
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: `${sheetName}!${range}`,
+        valueInputOption,
+        resource: { values },
+      });
+    },
+
+    // Hapus baris (index 0-based) sehingga baris di bawahnya naik, bukan sekadar dikosongkan
+    async deleteRows(sheetName, rowIndexes) {
+      if (rowIndexes.length === 0) return;
+      const meta = await sheets.spreadsheets.get({
+        spreadsheetId: sheetId,
+        fields: 'sheets.properties(sheetId,title)',
+      });
+      const sheet = meta.data.sheets.find(s => s.properties.title === sheetName);
+      if (!sheet) {
+        throw new Error(`Sheet ${sheetName} tidak ditemukan`);
+      }
+      // Urut dari bawah agar index baris yang belum dihapus tidak bergeser
+      const requests = [...new Set(rowIndexes)].sort((a, b) => b - a).map(index => ({
+        deleteDimension: {
+          range: { sheetId: sheet.properties.sheetId, dimension: 'ROWS', startIndex: index, endIndex: index + 1 },
+        },
+      }));
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: sheetId,
+        resource: { requests },
+      });
+    },
+
+    // Buat sheet beserta header jika belum ada
+    async ensureSheet(sheetName, headers) {
+      const meta = await sheets.spreadsheets.get({
+        spreadsheetId: sheetId,
+        fields: 'sheets.properties.title',
+      });
+      if (meta.data.sheets.some(s => s.properties.title === sheetName)) {
+        return false;
+      }
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: sheetId,
+        resource: { requests: [{ addSheet: { properties: { title: sheetName } } }] },
+      });
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: `${sheetName}!A1`,
+        valueInputOption,
+        resource: { values: [headers] },
+      });
+      return true;
+    },
+  };
+}
+
+module.exports = { createGoogleSheetsStorage, parseServiceAccountKey };
@@ -0,0 +1,35 @@
+const { createGoogleSheetsStorage } = require('./googleSheets');
+const { createJsonFileStorage } = require('./jsonFile');
+const { createCachedStorage } = require('./cached');
+
+// === Pilih storage backend berdasarkan STORAGE_BACKEND ===
+// sheets (default) -> Google Sheets, json -> file JSON lokal
+function createBackend(env, options) {
+  const backend = (env.STORAGE_BACKEND || 'sheets').toLowerCase();
+
+  switch (backend) {
+    case 'sheets':
+      return createGoogleSheetsStorage({
+        sheetId: env.SHEET_ID,
+        serviceAccountKey: env.GOOGLE_SERVICE_ACCOUNT_KEY,
+      });
+    case 'json':
+      return createJsonFileStorage({
+        filePath: env.STORAGE_JSON_PATH || 'data/rekapan.json',
+        seed: options.seed,
+      });
+    default:
+      throw new Error(`STORAGE_BACKEND tidak dikenal: ${backend} (gunakan sheets atau json)`);
+  }
+}
+
+// === Storage backend dibungkus cache baca (SHEET_CACHE_TTL_SECONDS, default 60, 0 = nonaktif) ===
+function createStorage(env = process.env, options = {}) {
+  const ttlSeconds = env.SHEET_CACHE_TTL_SECONDS === undefined ? 60 : parseInt(env.SHEET_CACHE_TTL_SECONDS);
+  if (isNaN(ttlSeconds) || ttlSeconds < 0) {
+    throw new Error(`SHEET_CACHE_TTL_SECONDS tidak valid: ${env.SHEET_CACHE_TTL_SECONDS}`);
+  }
+  return createCachedStorage(createBackend(env, options), { ttlMs: ttlSeconds * 1000 });
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+// === Helper: Kolom huruf (A, B, ..., AA) ke index 0-based ===
+function columnToIndex(letters) {
+  let index = 0;
+  for (const ch of letters.toUpperCase()) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// === Helper: Parse range A1 notation (contoh: A1:L20 atau B5) ===
+function parseA1Range(range) {
+  const match = /^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i.exec(range.trim());
+  if (!match) {
+    throw new Error(`Range tidak valid: ${range}`);
+  }
+  return {
+    startRow: parseInt(match[2]) - 1,
+    startCol: columnToIndex(match[1]),
+  };
+}
+
+// === Storage backend: file JSON lokal (untuk staging/offline) ===
+// Format file: { "<nama sheet>": [[...baris 1], [...baris 2], ...] }
+function createJsonFileStorage({ filePath, seed = {} }) {
+  const resolvedPath = path.resolve(filePath);
+  let writeQueue = Promise.resolve();
+
+  function load() {
+    if (!fs.existsSync(resolvedPath)) {
+      return JSON.parse(JSON.stringify(seed));
+    }
+    return JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  }
+
+  function save(db) {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    const tmpPath = `${resolvedPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(db, null, 2), 'utf8');
+    fs.renameSync(tmpPath, resolvedPath);
+  }
+
+  // === Helper: Antrean tulis agar load/save dari handler bersamaan tidak saling menimpa ===
+  function mutate(fn) {
+    const next = writeQueue.then(() => {
+      const db = load();
+      fn(db);
+      save(db);
+    });
+    writeQueue = next.catch(() => {});
+    return next;
+  }
+
+  if (!fs.existsSync(resolvedPath)) {
+    save(load());
+  }
+
+  return {
+    name: 'json',
+
+    async getValues(sheetName) {
+      const db = load();
+      return (db[sheetName] || []).map(row => row.map(cell => (cell === null || cell === undefined) ? '' : String(cell)));
+    },
+
+    async appendRow(sheetName, values) {
+      await mutate(db => {
+        if (!db[sheetName]) db[sheetName] = [];
+        db[sheetName].push(values.map(v => (v === null || v === undefined) ? '' : String(v)));
+      });
+    },
+
+    async appendRows(sheetName, rows) {
+      await mutate(db => {
+        if (!db[sheetName]) db[sheetName] = [];
+        rows.forEach(values => {
+          db[sheetName].push(values.map(v => (v === null || v === undefined) ? '' : String(v)));
+        });
+      });
+    },
+
+    async updateRange(sheetName, range, values) {
+      const { startRow, startCol } = parseA1Range(range);
+      await mutate(db => {
+        if (!db[sheetName]) db[sheetName] = [];
+        const rows = db[sheetName];
+        values.forEach((rowValues, r) => {
+          const rowIndex = startRow + r;
+          while (rows.length <= rowIndex) rows.push([]);
+          const row = rows[rowIndex];
+          rowValues.forEach((value, c) => {
+            const colIndex = startCol + c;
+            while (row.length < colIndex) row.push('');
+            row[colIndex] = (value === null || value === undefined) ? '' : String(value);
+          });
+        });
+      });
+    },
+
+    // Hapus baris (index 0-based), baris di bawahnya ikut naik
+    async deleteRows(sheetName, rowIndexes) {
+      const remove = new Set(rowIndexes);
+      await mutate(db => {
+        if (!db[sheetName]) return;
+        db[sheetName] = db[sheetName].filter((row, i) => !remove.has(i));
+      });
+    },
+
+    // Buat sheet beserta header jika belum ada
+    async ensureSheet(sheetName, headers) {
+      let created = false;
+      await mutate(db => {
+        if (!db[sheetName]) {
+          db[sheetName] = [headers.map(String)];
+          created = true;
+        }
+      });
+      return created;
+    },
+  };
+}
+
+module.exports = { createJsonFileStorage, parseA1Range, columnToIndex };
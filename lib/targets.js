@@ -0,0 +1,72 @@
+// Jenis target bulanan yang didukung sheet TARGET
+const TARGET_TYPES = ['TEKNISI', 'WORKZONE', 'OWNER'];
+
+// === Parse periode MM/YYYY (juga M/YYYY atau MM-YYYY) ke { month, year } ===
+function parseMonthKey(value) {
+  const match = /^(\d{1,2})[\/\-](\d{4})$/.exec((value || '').trim());
+  if (!match) return null;
+  const month = parseInt(match[1]);
+  if (month < 1 || month > 12) return null;
+  return { month, year: parseInt(match[2]) };
+}
+
+function formatMonthKey({ month, year }) {
+  return `${String(month).padStart(2, '0')}/${year}`;
+}
+
+// === Hitung progres target: persentase, sisa, dan run-rate harian yang dibutuhkan ===
+// today = { year, month, day } pada timezone laporan; run-rate hanya untuk bulan berjalan
+function computeTargetProgress(achieved, target, period, today) {
+  const daysInMonth = new Date(Date.UTC(period.year, period.month, 0)).getUTCDate();
+  const remaining = Math.max(0, target - achieved);
+  const percent = target > 0 ? (achieved / target) * 100 : 0;
+
+  let daysLeft = 0;
+  const isCurrentMonth = period.year === today.year && period.month === today.month;
+  const isFutureMonth = period.year > today.year || (period.year === today.year && period.month > today.month);
+  if (isCurrentMonth) {
+    daysLeft = daysInMonth - today.day + 1; // hari ini masih dihitung
+  } else if (isFutureMonth) {
+    daysLeft = daysInMonth;
+  }
+
+  return {
+    achieved,
+    target,
+    percent,
+    remaining,
+    daysLeft,
+    dailyNeeded: daysLeft > 0 ? remaining / daysLeft : null,
+  };
+}
+
+// === Format progres target satu baris: 12/40 (30.0%) | sisa 28 | perlu 1.4/hari ===
+function formatTargetProgress(progress) {
+  let text = `${progress.achieved}/${progress.target} (${progress.percent.toFixed(1)}%)`;
+  if (progress.remaining === 0) {
+    return `${text} ✅ tercapai`;
+  }
+  text += ` | sisa ${progress.remaining}`;
+  if (progress.dailyNeeded !== null) {
+    text += ` | perlu ${progress.dailyNeeded.toFixed(1)}/hari`;
+  }
+  return text;
+}
+
+// === Jumlah hari yang sudah berjalan pada periode bulan (untuk rata-rata harian) ===
+function elapsedDaysInMonth(period, today) {
+  const daysInMonth = new Date(Date.UTC(period.year, period.month, 0)).getUTCDate();
+  if (period.year === today.year && period.month === today.month) {
+    return today.day;
+  }
+  return daysInMonth;
+}
+
+module.exports = {
+  TARGET_TYPES,
+  parseMonthKey,
+  formatMonthKey,
+  computeTargetProgress,
+  formatTargetProgress,
+  elapsedDaysInMonth,
+};
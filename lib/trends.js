@@ -0,0 +1,85 @@
+// Perbandingan antar periode dan tren untuk /ps, /weekly, /monthly (opsi banding) dan /tren
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+// Bagian perbandingan: judul dan kolom REKAPAN yang dihitung
+const COMPARISON_SECTIONS = [
+  ['TEKNISI', 'teknisi'],
+  ['WORKZONE', 'workzone'],
+  ['OWNER', 'owner'],
+];
+
+// === Hitung baris REKAPAN: total, per teknisi, workzone dan owner (huruf besar, kosong = "-") ===
+function countRows(rows) {
+  const counts = { total: rows.length, teknisi: {}, workzone: {}, owner: {} };
+  const add = (map, value) => {
+    const key = (value || '-').toUpperCase();
+    map[key] = (map[key] || 0) + 1;
+  };
+  rows.forEach(row => {
+    add(counts.teknisi, row[11]);
+    add(counts.workzone, row[6]);
+    add(counts.owner, row[5]);
+  });
+  return counts;
+}
+
+// === Perubahan: "▲ +3 (+25%)", "▼ -2 (-40%)", "▬ 0"; "(baru)" jika periode lalu 0 ===
+function formatDelta(current, previous) {
+  const delta = current - previous;
+  if (delta === 0) return '▬ 0';
+  let text = delta > 0 ? `▲ +${delta}` : `▼ ${delta}`;
+  if (previous > 0) {
+    text += ` (${delta > 0 ? '+' : ''}${Math.round((delta / previous) * 100)}%)`;
+  } else {
+    text += ' (baru)';
+  }
+  return text;
+}
+
+// === Gabungkan dua peta hitungan, urut dari nilai periode ini lalu periode lalu ===
+function compareCounts(current, previous) {
+  const names = new Set([...Object.keys(current), ...Object.keys(previous)]);
+  return [...names]
+    .map(name => ({ name, current: current[name] || 0, previous: previous[name] || 0 }))
+    .sort((a, b) => b.current - a.current || b.previous - a.previous || a.name.localeCompare(b.name));
+}
+
+// === Bagian laporan "PERBANDINGAN vs <label>" untuk total, teknisi, workzone dan owner ===
+function formatComparisonSection(current, previous, { label, limit = 10 } = {}) {
+  let msg = `\n📊 PERBANDINGAN vs ${label}:\n`;
+  msg += `Total: ${current.total} SSL (lalu ${previous.total}) ${formatDelta(current.total, previous.total)}\n`;
+  COMPARISON_SECTIONS.forEach(([title, key]) => {
+    const entries = compareCounts(current[key], previous[key]);
+    if (entries.length === 0) return;
+    msg += `${title}:\n`;
+    entries.slice(0, limit).forEach(e => {
+      msg += `- ${e.name}: ${e.current} (lalu ${e.previous}) ${formatDelta(e.current, e.previous)}\n`;
+    });
+    if (entries.length > limit) msg += `- ... dan ${entries.length - limit} lainnya\n`;
+  });
+  return msg;
+}
+
+// === Sparkline teks dari deret angka, contoh ▁▃▅█ ===
+function sparkline(values) {
+  const max = Math.max(0, ...values);
+  return values
+    .map(v => SPARK_CHARS[max > 0 ? Math.round((v / max) * (SPARK_CHARS.length - 1)) : 0])
+    .join('');
+}
+
+// === Tabel tren (teks rata kolom untuk <pre>): periode, jumlah SSL, perubahan dari periode sebelumnya ===
+// points = [{ label, count, ongoing }], urut dari yang terlama; ongoing diberi tanda *
+function formatTrendTable(points) {
+  const labels = points.map(p => `${p.label}${p.ongoing ? '*' : ''}`);
+  const labelWidth = Math.max('PERIODE'.length, ...labels.map(l => l.length));
+  const countWidth = Math.max('SSL'.length, ...points.map(p => String(p.count).length));
+  let table = `${'PERIODE'.padEnd(labelWidth)}  ${'SSL'.padStart(countWidth)}  PERUBAHAN\n`;
+  points.forEach((p, i) => {
+    const change = i === 0 ? '-' : formatDelta(p.count, points[i - 1].count);
+    table += `${labels[i].padEnd(labelWidth)}  ${String(p.count).padStart(countWidth)}  ${change}\n`;
+  });
+  return table;
+}
+
+module.exports = { countRows, formatDelta, compareCounts, formatComparisonSection, sparkline, formatTrendTable };
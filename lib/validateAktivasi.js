@@ -0,0 +1,177 @@
+const fs = require('fs');
+
+// Label field untuk pesan error (key hasil parseAktivasi -> label)
+const FIELD_LABELS = {
+  ao: 'AO',
+  workorder: 'WORKORDER',
+  serviceNo: 'SERVICE NO',
+  customerName: 'CUSTOMER NAME',
+  owner: 'OWNER',
+  workzone: 'WORKZONE',
+  snOnt: 'SN ONT',
+  nikOnt: 'NIK ONT',
+  stbId: 'STB ID',
+  nikStb: 'NIK STB',
+};
+
+// === Aturan validasi default ===
+// common berlaku untuk semua owner; owners.<OWNER> menimpa required dan
+// menambah/menimpa formats per field. Owner yang tidak terdaftar memakai MANUAL.
+// Pattern ditulis sebagai string agar bisa dioverride lewat file JSON.
+const DEFAULT_RULES = {
+  common: {
+    required: ['ao', 'serviceNo', 'customerName', 'owner', 'workzone', 'snOnt', 'nikOnt'],
+    formats: {
+      serviceNo: { pattern: '^\\d{11,12}$', message: 'harus 11-12 digit angka' },
+      snOnt: { pattern: '^(ZTEG|HWTC|HUAW|FHTT|FIBR)[A-Z0-9]+$', message: 'harus diawali ZTEG/HWTC/HUAW/FHTT/FIBR' },
+      nikOnt: { pattern: '^\\d+$', message: 'harus berupa angka' },
+      nikStb: { pattern: '^\\d+$', message: 'harus berupa angka' },
+      workzone: { values: [], message: 'bukan kode workzone yang dikenal' },
+    },
+  },
+  owners: {
+    TSEL: {},
+    BS: {
+      formats: {
+        ao: { pattern: '^SC\\d{6,}$', message: 'harus berformat SC diikuti minimal 6 digit' },
+      },
+    },
+    WMS: {
+      formats: {
+        ao: { pattern: '^SC\\d{6,}$', message: 'harus berformat SC diikuti minimal 6 digit' },
+      },
+    },
+    MANUAL: {},
+  },
+};
+
+// === Gabungkan aturan override ke aturan dasar ===
+function mergeRules(base, override = {}) {
+  const merged = {
+    common: {
+      required: (override.common && override.common.required) || base.common.required,
+      formats: { ...base.common.formats, ...((override.common && override.common.formats) || {}) },
+    },
+    owners: { ...base.owners },
+  };
+  Object.entries(override.owners || {}).forEach(([owner, rule]) => {
+    const baseRule = base.owners[owner] || {};
+    merged.owners[owner] = {
+      ...baseRule,
+      ...rule,
+      formats: { ...(baseRule.formats || {}), ...(rule.formats || {}) },
+    };
+  });
+  return merged;
+}
+
+// === Muat aturan validasi: default + file JSON (opsional) + KNOWN_WORKZONES ===
+function loadValidationRules(env = process.env) {
+  let rules = DEFAULT_RULES;
+  if (env.VALIDATION_RULES_PATH) {
+    rules = mergeRules(rules, JSON.parse(fs.readFileSync(env.VALIDATION_RULES_PATH, 'utf8')));
+  }
+  if (env.KNOWN_WORKZONES) {
+    const values = env.KNOWN_WORKZONES.split(',').map(w => w.trim().toUpperCase()).filter(w => w);
+    rules = mergeRules(rules, {
+      common: { formats: { workzone: { ...rules.common.formats.workzone, values } } },
+    });
+  }
+  return rules;
+}
+
+// === Aturan efektif untuk satu owner ===
+function rulesForOwner(rules, owner) {
+  const key = (owner || '').toUpperCase();
+  const ownerRule = rules.owners[key] || rules.owners.MANUAL || {};
+  return {
+    required: ownerRule.required || rules.common.required,
+    formats: { ...rules.common.formats, ...(ownerRule.formats || {}) },
+  };
+}
+
+// === Cek satu nilai terhadap aturan format ===
+function checkFormat(value, format) {
+  if (format.pattern && !new RegExp(format.pattern, 'i').test(value)) {
+    return false;
+  }
+  if (format.values && format.values.length > 0 && !format.values.includes(value.toUpperCase())) {
+    return false;
+  }
+  return true;
+}
+
+// === Validasi hasil parseAktivasi, kembalikan semua field yang gagal ===
+function validateAktivasi(parsed, rules = DEFAULT_RULES) {
+  const { required, formats } = rulesForOwner(rules, parsed.owner);
+  const errors = [];
+
+  Object.keys(FIELD_LABELS).forEach(field => {
+    const value = (parsed[field] || '').toString().trim();
+    if (!value) {
+      if (required.includes(field)) {
+        errors.push({ field, label: FIELD_LABELS[field], message: 'wajib diisi' });
+      }
+      return;
+    }
+    const format = formats[field];
+    if (format && !checkFormat(value, format)) {
+      errors.push({ field, label: FIELD_LABELS[field], message: format.message || 'format tidak valid' });
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// === Pesan error validasi dalam satu balasan ===
+function formatValidationErrors(errors) {
+  let msg = '❌ Data tidak valid. Periksa field berikut:\n';
+  errors.forEach(e => {
+    msg += `- ${e.label}: ${e.message}\n`;
+  });
+  return msg;
+}
+
+// === Ringkasan aturan untuk /help: field wajib dan format, sesuai aturan yang benar-benar dipakai ===
+// Aturan owner yang sama digabung, contoh "AO (BS, WMS): harus berformat SC ..."
+function describeValidationRules(rules = DEFAULT_RULES) {
+  const labels = fields => fields.map(f => FIELD_LABELS[f] || f).join(', ');
+  const lines = [`Field wajib: ${labels(rules.common.required)}`];
+  const formatLine = (field, format) => {
+    if (format.values && format.values.length > 0) {
+      return `${FIELD_LABELS[field] || field}: salah satu dari ${format.values.join(', ')}`;
+    }
+    return format.pattern ? `${FIELD_LABELS[field] || field}: ${format.message || 'format tertentu'}` : null;
+  };
+  Object.entries(rules.common.formats).forEach(([field, format]) => {
+    const line = formatLine(field, format);
+    if (line) lines.push(line);
+  });
+
+  const ownerLines = new Map();
+  Object.entries(rules.owners).forEach(([owner, rule]) => {
+    if (rule.required) {
+      const line = `Field wajib: ${labels(rule.required)}`;
+      ownerLines.set(line, [...(ownerLines.get(line) || []), owner]);
+    }
+    Object.entries(rule.formats || {}).forEach(([field, format]) => {
+      const line = formatLine(field, format);
+      if (line) ownerLines.set(line, [...(ownerLines.get(line) || []), owner]);
+    });
+  });
+  ownerLines.forEach((owners, line) => {
+    const [label, ...rest] = line.split(': ');
+    lines.push(`${label} (${owners.join(', ')}): ${rest.join(': ')}`);
+  });
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  FIELD_LABELS,
+  loadValidationRules,
+  mergeRules,
+  validateAktivasi,
+  formatValidationErrors,
+  describeValidationRules,
+};
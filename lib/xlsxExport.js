@@ -0,0 +1,85 @@
+const ExcelJS = require('exceljs');
+
+// Kolom REKAPAN QUALITY (urutan sama dengan sheet dan generateCSV)
+const RAW_COLUMNS = [
+  { header: 'TANGGAL', width: 14 },
+  { header: 'AO', width: 20 },
+  { header: 'WORKORDER', width: 20 },
+  { header: 'SERVICE NO', width: 16 },
+  { header: 'CUSTOMER NAME', width: 30 },
+  { header: 'OWNER', width: 10 },
+  { header: 'WORKZONE', width: 12 },
+  { header: 'SN ONT', width: 18 },
+  { header: 'NIK ONT', width: 12 },
+  { header: 'STB ID', width: 18 },
+  { header: 'NIK STB', width: 12 },
+  { header: 'TEKNISI', width: 24 },
+];
+
+// Tab ringkasan: judul tab dan index kolom yang dihitung (sama dengan breakdown /ps dan /monthly)
+const SUMMARY_TABS = [
+  { name: 'PER TEKNISI', label: 'TEKNISI', col: 11 },
+  { name: 'PER WORKZONE', label: 'WORKZONE', col: 6 },
+  { name: 'PER OWNER', label: 'OWNER', col: 5 },
+];
+
+// === Format header: tebal, latar biru, freeze baris pertama ===
+function styleHeader(sheet) {
+  const header = sheet.getRow(1);
+  header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E78' } };
+  header.alignment = { vertical: 'middle', horizontal: 'center' };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: sheet.columnCount } };
+}
+
+// === Hitung jumlah SSL per nilai kolom, urut terbanyak ===
+function countBy(rows, col) {
+  const map = {};
+  rows.forEach(row => {
+    const key = (row[col] || '-').toString().toUpperCase();
+    map[key] = (map[key] || 0) + 1;
+  });
+  return Object.entries(map).sort((a, b) => b[1] - a[1]);
+}
+
+// === Workbook aktivasi: tab DATA mentah + tab ringkasan per teknisi/workzone/owner ===
+// parseDate mengubah nilai TANGGAL menjadi Date (atau null jika tidak dikenali)
+async function buildActivationWorkbook(rows, { parseDate, title = 'REKAPAN QUALITY' } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Bot Rekapan Quality';
+  workbook.created = new Date();
+
+  const raw = workbook.addWorksheet('DATA');
+  raw.columns = RAW_COLUMNS.map(c => ({ header: c.header, width: c.width }));
+  rows.forEach(row => {
+    const values = RAW_COLUMNS.map((c, i) => (row[i] === undefined ? '' : row[i]));
+    const date = parseDate ? parseDate(values[0]) : null;
+    if (date) values[0] = date;
+    raw.addRow(values);
+  });
+  raw.getColumn(1).numFmt = 'dd/mm/yyyy';
+  styleHeader(raw);
+
+  SUMMARY_TABS.forEach(tab => {
+    const sheet = workbook.addWorksheet(tab.name);
+    sheet.columns = [
+      { header: 'NO', width: 6 },
+      { header: tab.label, width: 28 },
+      { header: 'TOTAL SSL', width: 12 },
+      { header: 'PERSENTASE', width: 12 },
+    ];
+    countBy(rows, tab.col).forEach(([name, count], i) => {
+      sheet.addRow([i + 1, name, count, rows.length > 0 ? count / rows.length : 0]);
+    });
+    sheet.getColumn(4).numFmt = '0.0%';
+    const totalRow = sheet.addRow(['', 'TOTAL', rows.length, rows.length > 0 ? 1 : 0]);
+    totalRow.font = { bold: true };
+    styleHeader(sheet);
+  });
+
+  workbook.title = title;
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = { buildActivationWorkbook, RAW_COLUMNS, SUMMARY_TABS };
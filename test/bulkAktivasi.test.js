@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { loadFixtures } = require('./fixtureRunner');
+const { splitAktivasiRecords, generateCSV, parseCSV, readImportRows, isImportHeaderValid } = require('../lib/bulkAktivasi');
+
+const REKAPAN_HEADERS = ['TANGGAL', 'AO', 'WORKORDER', 'SERVICE NO', 'CUSTOMER NAME', 'OWNER', 'WORKZONE', 'SN ONT', 'NIK ONT', 'STB ID', 'NIK STB', 'TEKNISI'];
+const EXPORT_HEADERS = ['TANGGAL', 'AO', 'WORKORDER', 'SERVICE_NO', 'CUSTOMER_NAME', 'OWNER', 'WORKZONE', 'SN_ONT', 'NIK_ONT', 'STB_ID', 'NIK_STB', 'TEKNISI'];
+
+test('splitAktivasiRecords keeps every single-record fixture intact', () => {
+  loadFixtures().forEach(fixture => {
+    assert.deepStrictEqual(splitAktivasiRecords(fixture.input), [fixture.input], fixture.name);
+  });
+});
+
+test('splitAktivasiRecords splits repeated blocks and keeps their header lines', () => {
+  const record = (ao) => `CHANNEL : DIGIPOS\nAO : ${ao}\nSERVICE NO : 161201234567\nNIK ONT : 1`;
+
+  const withoutBlankLines = `${record('AO1')}\n${record('AO2')}`;
+  assert.deepStrictEqual(splitAktivasiRecords(withoutBlankLines), [record('AO1'), record('AO2')]);
+
+  const withBlankLines = `${record('AO1')}\n\nLAPORAN PSB\nCHANNEL: PDA\nAO : AO2\n\n${record('AO3')}`;
+  assert.deepStrictEqual(splitAktivasiRecords(withBlankLines), [record('AO1'), 'LAPORAN PSB\nCHANNEL: PDA\nAO : AO2', record('AO3')]);
+});
+
+test('splitAktivasiRecords does not split a BGES log on its AO| lines', () => {
+  const fixture = loadFixtures().find(f => f.name === 'bges-log-multi-ao');
+  assert.strictEqual((fixture.input.match(/^AO\|/gm) || []).length, 2);
+  assert.deepStrictEqual(splitAktivasiRecords(fixture.input), [fixture.input]);
+
+  // "AO SC..." tanpa titik dua tetap dianggap pembuka record
+  const loose = 'AO SC1006789012\nSN ONT : ZTEG1\nAO SC1006789013\nSN ONT : ZTEG2';
+  assert.deepStrictEqual(splitAktivasiRecords(loose), ['AO SC1006789012\nSN ONT : ZTEG1', 'AO SC1006789013\nSN ONT : ZTEG2']);
+});
+
+test('parseCSV reads quoted cells written by generateCSV', () => {
+  const rows = parseCSV('TANGGAL,AO,CUSTOMER NAME\r\n"Senin, 1 September 2025",SC1,"PT ""MAJU"", TBK"\r\n\r\n');
+  assert.deepStrictEqual(rows, [['TANGGAL', 'AO', 'CUSTOMER NAME'], ['Senin, 1 September 2025', 'SC1', 'PT "MAJU", TBK']]);
+});
+
+test('a CSV written by /export is accepted again by the import', async () => {
+  const data = [
+    ['2025-09-01T08:30:00+07:00', 'SC1', 'WO1', '161201234567', 'PT "MAJU", TBK', 'TSEL', 'MDN', 'ZTEG12345678', '12345', '-', '-', 'tek1'],
+    ['2025-09-02T09:00:00+07:00', 'SC2', 'WO2', '161201234568', 'BUDI', 'BGES', 'BLW', 'HWTC12345678', '12345', '', '', 'tek2'],
+  ];
+  const csv = generateCSV(data, EXPORT_HEADERS);
+
+  const rows = await readImportRows(Buffer.from(csv, 'utf8'), 'csv');
+  assert.strictEqual(isImportHeaderValid(rows[0], REKAPAN_HEADERS), true);
+  assert.deepStrictEqual(rows.slice(1), data);
+});
+
+test('isImportHeaderValid ignores case and "_" versus space but not column order', () => {
+  assert.strictEqual(isImportHeaderValid([' service_no ', 'Customer  Name'], ['SERVICE NO', 'CUSTOMER NAME']), true);
+  assert.strictEqual(isImportHeaderValid(['CUSTOMER NAME', 'SERVICE NO'], ['SERVICE NO', 'CUSTOMER NAME']), false);
+  assert.strictEqual(isImportHeaderValid(['SERVICE NO'], ['SERVICE NO', 'CUSTOMER NAME']), false);
+});
+
+test('readImportRows reads the first XLSX worksheet and formats date cells', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('DATA');
+  sheet.addRow(['TANGGAL', 'AO']);
+  sheet.addRow([new Date(Date.UTC(2025, 8, 1)), 'SC1']);
+  const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+  const rows = await readImportRows(buffer, 'xlsx', { formatDate: d => d.toISOString().slice(0, 10) });
+  assert.deepStrictEqual(rows, [['TANGGAL', 'AO'], ['2025-09-01', 'SC1']]);
+  assert.strictEqual(isImportHeaderValid(rows[0], ['TANGGAL', 'AO']), true);
+  assert.strictEqual(isImportHeaderValid(rows[1], ['TANGGAL', 'AO']), false);
+});
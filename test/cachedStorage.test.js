@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCachedStorage } = require('../lib/storage/cached');
+
+function createFakeStorage() {
+  const sheets = { USER: [['NO', 'USERNAME'], ['1', 'tek_budi']] };
+  return {
+    name: 'fake',
+    reads: 0,
+    async getValues(sheetName) {
+      this.reads++;
+      return sheets[sheetName].map(row => row.slice());
+    },
+    async appendRow(sheetName, values) {
+      sheets[sheetName].push(values);
+    },
+    async updateRange() {},
+    async ensureSheet() {
+      return false;
+    },
+  };
+}
+
+test('getValues is served from cache until the TTL expires', async () => {
+  let clock = 0;
+  const backend = createFakeStorage();
+  const storage = createCachedStorage(backend, { ttlMs: 1000, now: () => clock });
+
+  await storage.getValues('USER');
+  await storage.getValues('USER');
+  assert.strictEqual(backend.reads, 1);
+
+  clock = 1500;
+  await storage.getValues('USER');
+  assert.strictEqual(backend.reads, 2);
+});
+
+test('writes invalidate the cached sheet', async () => {
+  const backend = createFakeStorage();
+  const storage = createCachedStorage(backend, { ttlMs: 60000 });
+
+  await storage.getValues('USER');
+  await storage.appendRow('USER', ['2', 'tek_andi']);
+  const rows = await storage.getValues('USER');
+  assert.strictEqual(backend.reads, 2);
+  assert.strictEqual(rows.length, 3);
+});
+
+test('callers cannot mutate the cached rows', async () => {
+  const storage = createCachedStorage(createFakeStorage(), { ttlMs: 60000 });
+
+  const rows = await storage.getValues('USER');
+  rows[1][1] = 'diubah';
+  rows.push(['x']);
+  assert.deepStrictEqual(await storage.getValues('USER'), [['NO', 'USERNAME'], ['1', 'tek_budi']]);
+});
+
+test('invalidate without a sheet name clears everything', async () => {
+  const backend = createFakeStorage();
+  const storage = createCachedStorage(backend, { ttlMs: 60000 });
+
+  await storage.getValues('USER');
+  assert.strictEqual(storage.invalidate(), 1);
+  await storage.getValues('USER');
+  assert.strictEqual(backend.reads, 2);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { createCanvas } = require('../lib/charts/canvas');
+const { niceAxisMax, renderBarChart, renderPieChart, renderLineChart } = require('../lib/charts');
+
+// === Baca PNG hasil encoder (RGB 8 bit, filter 0) menjadi { width, height, pixel(x, y) } ===
+function decodePNG(png) {
+  assert.deepStrictEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const idatLength = png.readUInt32BE(33);
+  assert.strictEqual(png.toString('ascii', 37, 41), 'IDAT');
+  const raw = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+  const pixel = (x, y) => {
+    const i = y * (width * 3 + 1) + 1 + x * 3;
+    return [raw[i], raw[i + 1], raw[i + 2]];
+  };
+  return { width, height, pixel };
+}
+
+test('canvas encodes drawn pixels as PNG', () => {
+  const canvas = createCanvas(20, 10);
+  canvas.fillRect(2, 2, 4, 4, [255, 0, 0]);
+  canvas.drawText(10, 1, 'I', [0, 0, 255], 1);
+  const image = decodePNG(canvas.toPNG());
+  assert.strictEqual(image.width, 20);
+  assert.strictEqual(image.height, 10);
+  assert.deepStrictEqual(image.pixel(3, 3), [255, 0, 0]);
+  assert.deepStrictEqual(image.pixel(12, 2), [0, 0, 255]);
+  assert.deepStrictEqual(image.pixel(0, 0), [255, 255, 255]);
+});
+
+test('charts render PNG images sized to their content', () => {
+  const entries = [{ label: 'TEK_A', value: 10 }, { label: 'TEK_B', value: 4 }];
+  const bar = decodePNG(renderBarChart({ title: 'SSL PER TEKNISI', entries }));
+  const longer = decodePNG(renderBarChart({ title: 'SSL PER TEKNISI', entries: [...entries, ...entries, ...entries] }));
+  assert.ok(longer.height > bar.height);
+
+  const pie = decodePNG(renderPieChart({ title: 'PORSI OWNER', entries: [{ label: 'TSEL', value: 3 }, { label: 'BS', value: 1 }] }));
+  // Sisi kanan atas pie (75%) berwarna owner pertama
+  assert.notDeepStrictEqual(pie.pixel(24 + 150 + 60, 56 + 24 + 150 - 60), [255, 255, 255]);
+
+  const line = decodePNG(renderLineChart({ title: 'AKTIVASI PER HARI', points: [{ label: 1, value: 0 }, { label: 2, value: 3 }] }));
+  assert.strictEqual(line.width, 900);
+});
+
+test('niceAxisMax rounds up to whole grid steps', () => {
+  assert.strictEqual(niceAxisMax(0), 5);
+  assert.strictEqual(niceAxisMax(3), 5);
+  assert.strictEqual(niceAxisMax(23), 25);
+  assert.strictEqual(niceAxisMax(48), 50);
+  assert.strictEqual(niceAxisMax(120), 250);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCommandRegistry, checkChat, checkRole, checkArgs, formatHelpEntry, toBotCommands } = require('../lib/commandRouter');
+const { REPORT_OPTIONS } = require('../lib/periods');
+
+function sampleRegistry() {
+  const registry = createCommandRegistry();
+  const handler = async () => {};
+  registry.register({ name: 'help', aliases: ['start'], role: 'public', description: 'Bantuan', handler });
+  registry.register({ name: 'hapus', args: [{ name: 'AO', required: true }], description: 'Hapus data', examples: ['/hapus SC1'], handler });
+  registry.register({
+    name: 'ps', role: 'admin', chatTypes: ['private', 'group'], groupPermission: true,
+    args: [{ name: 'tanggal' }], description: 'Laporan harian', handler,
+  });
+  registry.register({
+    name: 'topteknisi', role: 'admin', args: [{ name: 'periode', choices: ['all', 'daily'] }],
+    description: 'Ranking', handler,
+  });
+  registry.register({ name: 'grup', role: 'admin', chatTypes: ['group'], description: 'Atur grup', handler });
+  return registry;
+}
+
+test('parse resolves names and aliases case-insensitively and splits arguments', () => {
+  const registry = sampleRegistry();
+  const parsed = registry.parse('/PS 01/09/2025  extra');
+  assert.strictEqual(parsed.command.name, 'ps');
+  assert.deepStrictEqual(parsed.args, ['01/09/2025', 'extra']);
+  assert.strictEqual(registry.parse('/start').command.name, 'help');
+  assert.strictEqual(registry.parse('/aktivasi\nAO : SC1').argText, 'AO : SC1');
+  // Nama yang tidak terdaftar (misalnya /username) tidak tertangkap oleh prefix command lain
+  assert.strictEqual(registry.parse('/pstek').command, null);
+  assert.strictEqual(registry.parse('halo'), null);
+  assert.throws(() => registry.register({ name: 'ps', handler: async () => {} }), /sudah terdaftar/);
+});
+
+test('checkChat and checkRole apply chat types, group permission and roles', () => {
+  const registry = sampleRegistry();
+  const ps = registry.find('ps');
+  const grup = registry.find('grup');
+  assert.strictEqual(checkChat(ps, { isGroup: true, groupCommands: [] }), 'ignore');
+  assert.strictEqual(checkChat(ps, { isGroup: true, groupCommands: ['ps'] }), 'ok');
+  assert.strictEqual(checkChat(registry.find('hapus'), { isGroup: true, groupCommands: ['hapus'] }), 'ignore');
+  assert.strictEqual(checkChat(grup, { isGroup: false }), 'groupOnly');
+
+  assert.strictEqual(checkRole(ps, { user: ['1', 'tek'], admin: false }), false);
+  assert.strictEqual(checkRole(ps, { user: null, admin: false, groupAccess: true }), true);
+  assert.strictEqual(checkRole(grup, { user: ['1', 'tek'], admin: false, groupAccess: true }), false);
+  assert.strictEqual(checkRole(registry.find('hapus'), { user: null, admin: false }), false);
+  assert.strictEqual(checkRole(registry.find('help'), { user: null, admin: false }), true);
+});
+
+test('checkArgs reports usage for missing or invalid arguments', () => {
+  const registry = sampleRegistry();
+  assert.strictEqual(checkArgs(registry.find('hapus'), []), 'Format: /hapus &lt;AO&gt;\nContoh: /hapus SC1');
+  assert.strictEqual(checkArgs(registry.find('hapus'), ['SC1']), null);
+  assert.match(checkArgs(registry.find('topteknisi'), ['yearly']), /\[all\|daily\]/);
+  assert.strictEqual(checkArgs(registry.find('topteknisi'), ['DAILY']), null);
+});
+
+test('checkArgs does not check the position of a rest argument with choices', () => {
+  const registry = createCommandRegistry();
+  registry.register({
+    name: 'weekly', role: 'admin', args: [{ name: 'tanggal' }, { name: 'opsi', choices: REPORT_OPTIONS, rest: true }],
+    description: 'Laporan mingguan', handler: async () => {},
+  });
+  const weekly = registry.find('weekly');
+  assert.strictEqual(checkArgs(weekly, ['01/09/2025', 'banding']), null);
+  assert.strictEqual(checkArgs(weekly, ['banding', '01/09/2025']), null);
+  assert.strictEqual(checkArgs(weekly, ['grafik', 'banding']), null);
+  assert.match(formatHelpEntry(weekly), /\/weekly \[tanggal\] \[banding\|grafik\]/);
+});
+
+test('help entries and bot menu are generated from the registry', () => {
+  const registry = sampleRegistry();
+  assert.strictEqual(formatHelpEntry(registry.find('ps')), '• <code>/ps [tanggal]</code> - Laporan harian\n');
+  assert.deepStrictEqual(registry.list({ admin: false }).map(c => c.name), ['help', 'hapus']);
+  assert.deepStrictEqual(registry.list({ chatType: 'group' }).map(c => c.name), ['ps', 'grup']);
+  assert.deepStrictEqual(toBotCommands(registry.list({ admin: false })), [
+    { command: 'help', description: 'Bantuan' },
+    { command: 'hapus', description: 'Hapus data' },
+  ]);
+});
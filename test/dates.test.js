@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatSheetTimestamp, parseSheetDate, toISODate, formatSheetDateLabel } = require('../lib/dates');
+
+test('formatSheetTimestamp writes Asia/Jakarta local time with offset', () => {
+  assert.strictEqual(formatSheetTimestamp(new Date('2025-08-31T17:30:05Z')), '2025-09-01T00:30:05+07:00');
+  assert.strictEqual(formatSheetTimestamp(new Date('2025-09-01T10:00:00Z'), 'UTC'), '2025-09-01T10:00:00+00:00');
+});
+
+test('parseSheetDate reads old localized, ISO and dd/mm/yyyy values', () => {
+  const expected = new Date(Date.UTC(2025, 8, 1)).getTime();
+  assert.strictEqual(parseSheetDate('Senin, 1 September 2025').getTime(), expected);
+  assert.strictEqual(parseSheetDate('1 september 2025').getTime(), expected);
+  assert.strictEqual(parseSheetDate('2025-09-01T00:30:05+07:00').getTime(), expected);
+  assert.strictEqual(parseSheetDate('2025-09-01').getTime(), expected);
+  assert.strictEqual(parseSheetDate('01/09/2025').getTime(), expected);
+  assert.strictEqual(parseSheetDate('31/02/2025'), null);
+  assert.strictEqual(parseSheetDate('kemarin'), null);
+});
+
+test('toISODate and formatSheetDateLabel convert between formats', () => {
+  assert.strictEqual(toISODate('Selasa, 30 September 2025'), '2025-09-30');
+  assert.strictEqual(formatSheetDateLabel('2025-09-01T14:32:05+07:00'), 'Senin, 1 September 2025 14.32');
+  assert.strictEqual(formatSheetDateLabel('2025-09-01'), 'Senin, 1 September 2025');
+  assert.strictEqual(formatSheetDateLabel('tidak jelas'), 'tidak jelas');
+});
+
+test('timestamps are read on the report timezone, plain dates are kept', () => {
+  // 00:30 WIB is still 31 August in UTC and already 1 September in Makassar
+  assert.strictEqual(toISODate('2025-09-01T00:30:05+07:00', 'UTC'), '2025-08-31');
+  assert.strictEqual(toISODate('2025-08-31T17:30:05Z'), '2025-09-01');
+  assert.strictEqual(formatSheetDateLabel('2025-09-01T00:30:05+07:00', 'Asia/Makassar'), 'Senin, 1 September 2025 01.30');
+  assert.strictEqual(toISODate('2025-09-01', 'UTC'), '2025-09-01');
+});
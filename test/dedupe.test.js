@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planDeduplication } = require('../lib/dedupe');
+
+const HEADER = ['TANGGAL', 'AO', 'WORKORDER', 'SERVICE NO'];
+const DATA = [
+  HEADER,
+  ['1/9', 'SC1', '', ''],
+  ['2/9', 'SC2', 'WO2', ''],
+  ['3/9', 'sc1', 'WO1', '123'],
+  ['4/9', '', '', ''],
+  ['5/9', '', 'WO9', ''],
+  ['6/9', 'SC1', 'WO1', ''],
+];
+
+test('planDeduplication keeps the first copy by default and ignores empty AO', () => {
+  const plan = planDeduplication(DATA);
+  assert.deepStrictEqual(plan.groups, [{ key: 'SC1', keep: 1, remove: [3, 6] }]);
+  assert.deepStrictEqual(plan.removeIndexes, [3, 6]);
+});
+
+test('planDeduplication can keep the latest or most complete copy', () => {
+  assert.strictEqual(planDeduplication(DATA, { strategy: 'latest' }).groups[0].keep, 6);
+  assert.deepStrictEqual(planDeduplication(DATA, { strategy: 'complete' }).removeIndexes, [1, 6]);
+});
+
+test('planDeduplication rejects unknown strategies', () => {
+  assert.throws(() => planDeduplication(DATA, { strategy: 'random' }), /Strategi tidak dikenal/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDraftStore } = require('../lib/draftStore');
+
+test('create returns a draft with an id that get and find return until it expires', () => {
+  let clock = 0;
+  const store = createDraftStore({ ttlMs: 1000, now: () => clock });
+  const draft = store.create({ chatId: 10, parsed: { ao: 'SC1' } });
+
+  assert.match(draft.id, /^[0-9a-f]{8}$/);
+  assert.strictEqual(draft.createdAt, 0);
+  assert.strictEqual(store.get(draft.id), draft);
+  assert.strictEqual(store.find(d => d.chatId === 10), draft);
+
+  clock = 1000;
+  assert.strictEqual(store.get(draft.id), draft);
+});
+
+test('get forgets an expired draft', () => {
+  let clock = 0;
+  const store = createDraftStore({ ttlMs: 1000, now: () => clock });
+  const draft = store.create({ chatId: 10 });
+
+  clock = 1001;
+  assert.strictEqual(store.find(d => d.chatId === 10), null);
+  assert.strictEqual(store.get(draft.id), null);
+
+  // Sudah dilupakan: tetap null walaupun jam mundur
+  clock = 0;
+  assert.strictEqual(store.get(draft.id), null);
+  assert.strictEqual(store.get('tidakada'), null);
+});
+
+test('delete and sweep remove drafts', () => {
+  let clock = 0;
+  const store = createDraftStore({ ttlMs: 1000, now: () => clock });
+  const old = store.create({ chatId: 1 });
+  clock = 800;
+  const fresh = store.create({ chatId: 2 });
+  const deleted = store.create({ chatId: 3 });
+  store.delete(deleted.id);
+  assert.strictEqual(store.get(deleted.id), null);
+
+  clock = 1500;
+  store.sweep();
+  clock = 0;
+  assert.strictEqual(store.get(old.id), null);
+  assert.strictEqual(store.get(fresh.id), fresh);
+});
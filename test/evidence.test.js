@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatEvidenceSection, findEvidenceAO, createEvidenceAlbums } = require('../lib/evidence');
+
+const ROWS = [
+  ['2025-09-01', 'SC1', '', '', '', '', '', '', '', '', '', 'tek1'],
+  ['2025-09-01', 'sc2', '', '', '', '', '', '', '', '', '', 'tek1'],
+  ['2025-09-01', 'SC3', '', '', '', '', '', '', '', '', '', 'tek<2>'],
+  ['2025-09-01', 'SC4', '', '', '', '', '', '', '', '', '', 'tek1'],
+];
+
+test('formatEvidenceSection counts activations without photos per teknisi', () => {
+  const msg = formatEvidenceSection(ROWS, new Set(['SC2']));
+  assert.strictEqual(msg, '\n📷 BUKTI FOTO: 1/4 lengkap\nBelum lengkap (3):\n- TEK1: 2 AO\n- TEK&lt;2&gt;: 1 AO\n');
+  assert.strictEqual(formatEvidenceSection(ROWS, new Set(['SC1', 'SC2', 'SC3', 'SC4'])), '\n📷 BUKTI FOTO: 4/4 lengkap\n');
+});
+
+test('formatEvidenceSection lists missing AOs up to the limit', () => {
+  const msg = formatEvidenceSection(ROWS, new Set(), { listAOs: true, limit: 2 });
+  assert.strictEqual(msg, '\n📷 BUKTI FOTO: 0/4 lengkap\nBelum lengkap (4):\n- SC1 (TEK1)\n- sc2 (TEK1)\n... dan 2 lainnya\n');
+});
+
+test('findEvidenceAO reads the AO from a bot confirmation or an own /aktivasi message', () => {
+  const from = { id: 5, username: 'tek1' };
+  const user = ['2', 'tek1', 'USER', 'AKTIF', '5'];
+  const confirmation = { from: { id: 1, is_bot: true }, text: '✅ Data berhasil disimpan\n\nAO: SC1002\nTeknisi: tek1' };
+  assert.strictEqual(findEvidenceAO({ from, reply_to_message: confirmation }, user, 'tek1'), 'SC1002');
+
+  const ownAktivasi = { from, text: '/aktivasi\nAO : SC1003\nSERVICE NO : 123456789012' };
+  assert.strictEqual(findEvidenceAO({ from, reply_to_message: ownAktivasi }, user, 'tek1'), 'SC1003');
+
+  const otherAktivasi = { from: { id: 6 }, text: ownAktivasi.text };
+  assert.strictEqual(findEvidenceAO({ from, reply_to_message: otherAktivasi }, user, 'tek1'), null);
+  assert.strictEqual(findEvidenceAO({ from }, user, 'tek1'), null);
+});
+
+test('evidence albums hold photos until the leader resolves the target', () => {
+  const albums = createEvidenceAlbums({ ttlMs: 1000 });
+  assert.strictEqual(albums.add('G1', 'early'), null);
+  assert.strictEqual(albums.claim('G1'), true);
+  assert.strictEqual(albums.claim('G1'), false);
+  assert.strictEqual(albums.add('G1', 'late'), null);
+
+  assert.deepStrictEqual(albums.resolve('G1', { ao: 'SC1' }), ['early', 'late']);
+  assert.deepStrictEqual(albums.add('G1', 'after'), { ao: 'SC1' });
+  // Album yang sudah punya tujuan tidak dibuang oleh abandon
+  albums.abandon('G1');
+  assert.deepStrictEqual(albums.add('G1', 'again'), { ao: 'SC1' });
+});
+
+test('evidence albums forget abandoned and expired albums', () => {
+  let clock = 0;
+  const albums = createEvidenceAlbums({ ttlMs: 1000, now: () => clock });
+  albums.claim('G1');
+  albums.add('G1', 'photo');
+  albums.abandon('G1');
+  assert.strictEqual(albums.claim('G1'), true);
+  assert.deepStrictEqual(albums.resolve('G1', { draftId: 'd1' }), []);
+
+  clock = 1000;
+  assert.strictEqual(albums.add('G1', 'photo'), null);
+  assert.strictEqual(albums.claim('G1'), true);
+});
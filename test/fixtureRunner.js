@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { parseAktivasi } = require('../lib/parseAktivasi');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'aktivasi');
+
+// === Muat fixture: <nama>.txt (pesan) + <nama>.json (username, userRow, expected) ===
+function loadFixtures(dir = FIXTURE_DIR) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.txt'))
+    .sort()
+    .map(f => {
+      const name = f.replace(/\.txt$/, '');
+      const meta = JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+      return {
+        name,
+        description: meta.description || '',
+        // Telegram always sends \n, normalize in case git checked the file out with CRLF
+        input: fs.readFileSync(path.join(dir, f), 'utf8').replace(/\r\n/g, '\n'),
+        username: meta.username || '',
+        userRow: meta.userRow || null,
+        expected: meta.expected,
+      };
+    });
+}
+
+// === Bandingkan hasil parser dengan expected per field ===
+function diffFields(expected, actual) {
+  const fields = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  const diffs = [];
+  fields.forEach(field => {
+    if ((expected[field] || '') !== (actual[field] || '')) {
+      diffs.push({ field, expected: expected[field] || '', actual: actual[field] || '' });
+    }
+  });
+  return diffs;
+}
+
+function runFixture(fixture, parse = parseAktivasi) {
+  const actual = parse(fixture.input, fixture.userRow, fixture.username);
+  return { name: fixture.name, description: fixture.description, actual, diffs: diffFields(fixture.expected, actual) };
+}
+
+function formatDiffs(diffs) {
+  return diffs.map(d => `  ${d.field}: expected ${JSON.stringify(d.expected)}, got ${JSON.stringify(d.actual)}`).join('\n');
+}
+
+// === Laporan seluruh fixture (node test/fixtureRunner.js) ===
+function formatReport(results) {
+  let report = '';
+  results.forEach(r => {
+    report += `${r.diffs.length === 0 ? 'PASS' : 'FAIL'} ${r.name}${r.description ? ` - ${r.description}` : ''}\n`;
+    if (r.diffs.length > 0) report += `${formatDiffs(r.diffs)}\n`;
+  });
+  const failed = results.filter(r => r.diffs.length > 0).length;
+  report += `\n${results.length - failed}/${results.length} fixture lolos`;
+  return report;
+}
+
+if (require.main === module) {
+  const results = loadFixtures().map(f => runFixture(f));
+  console.log(formatReport(results));
+  process.exitCode = results.some(r => r.diffs.length > 0) ? 1 : 0;
+}
+
+module.exports = { FIXTURE_DIR, loadFixtures, diffFields, runFixture, formatDiffs, formatReport };
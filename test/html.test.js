@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { escapeHtml } = require('../lib/html');
+
+test('escapeHtml escapes the characters Telegram HTML reserves', () => {
+  assert.strictEqual(escapeHtml('PT <A> & "B"'), 'PT &lt;A&gt; &amp; "B"');
+  assert.strictEqual(escapeHtml(null), '');
+  assert.strictEqual(escapeHtml(undefined), '');
+  assert.strictEqual(escapeHtml(0), '0');
+});
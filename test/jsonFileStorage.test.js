@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFileStorage, parseA1Range, columnToIndex } = require('../lib/storage/jsonFile');
+
+function tempStorage(seed) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rekapan-json-'));
+  const filePath = path.join(dir, 'db.json');
+  return { filePath, storage: createJsonFileStorage({ filePath, seed }), cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('parseA1Range reads ranges and single cells', () => {
+  assert.deepStrictEqual(parseA1Range('A1:L20'), { startRow: 0, startCol: 0 });
+  assert.deepStrictEqual(parseA1Range('B5'), { startRow: 4, startCol: 1 });
+  assert.deepStrictEqual(parseA1Range(' aa10 '), { startRow: 9, startCol: 26 });
+  assert.throws(() => parseA1Range('REKAPAN!A1'), /Range tidak valid/);
+  assert.strictEqual(columnToIndex('L'), 11);
+  assert.strictEqual(columnToIndex('AB'), 27);
+});
+
+test('the seed is written on first use and values are read as strings', async () => {
+  const { filePath, storage, cleanup } = tempStorage({ USER: [['NO', 'USERNAME'], [1, null]] });
+  try {
+    assert.ok(fs.existsSync(filePath));
+    assert.deepStrictEqual(await storage.getValues('USER'), [['NO', 'USERNAME'], ['1', '']]);
+    assert.deepStrictEqual(await storage.getValues('TIDAK ADA'), []);
+  } finally {
+    cleanup();
+  }
+});
+
+test('appendRow and appendRows add rows at the end, creating the sheet if needed', async () => {
+  const { storage, cleanup } = tempStorage({});
+  try {
+    await storage.appendRow('AUDIT', ['a', 1, undefined]);
+    await storage.appendRows('AUDIT', [['b', 2], ['c', null]]);
+    assert.deepStrictEqual(await storage.getValues('AUDIT'), [['a', '1', ''], ['b', '2'], ['c', '']]);
+  } finally {
+    cleanup();
+  }
+});
+
+test('updateRange writes a block from its top-left cell and pads missing rows and cells', async () => {
+  const { storage, cleanup } = tempStorage({ REKAPAN: [['TANGGAL', 'AO', 'WORKORDER'], ['d1', 'SC1', 'WO1']] });
+  try {
+    await storage.updateRange('REKAPAN', 'B2', [['SC9']]);
+    await storage.updateRange('REKAPAN', 'C3:D4', [['x', 'y'], [null, 'z']]);
+    assert.deepStrictEqual(await storage.getValues('REKAPAN'), [
+      ['TANGGAL', 'AO', 'WORKORDER'],
+      ['d1', 'SC9', 'WO1'],
+      ['', '', 'x', 'y'],
+      ['', '', '', 'z'],
+    ]);
+  } finally {
+    cleanup();
+  }
+});
+
+test('deleteRows removes rows by 0-based index and shifts the rest up', async () => {
+  const { storage, cleanup } = tempStorage({ REKAPAN: [['AO'], ['SC1'], ['SC2'], ['SC3'], ['SC4']] });
+  try {
+    await storage.deleteRows('REKAPAN', [3, 1]);
+    assert.deepStrictEqual(await storage.getValues('REKAPAN'), [['AO'], ['SC2'], ['SC4']]);
+    await storage.deleteRows('TIDAK ADA', [0]);
+    assert.deepStrictEqual(await storage.getValues('TIDAK ADA'), []);
+  } finally {
+    cleanup();
+  }
+});
+
+test('ensureSheet creates a sheet with headers only once', async () => {
+  const { filePath, storage, cleanup } = tempStorage({});
+  try {
+    assert.strictEqual(await storage.ensureSheet('FOTO', ['AO', 'FILE_ID']), true);
+    await storage.appendRow('FOTO', ['SC1', 'f1']);
+    assert.strictEqual(await storage.ensureSheet('FOTO', ['AO', 'FILE_ID']), false);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).FOTO, [['AO', 'FILE_ID'], ['SC1', 'f1']]);
+  } finally {
+    cleanup();
+  }
+});
+
+test('concurrent writes are applied one after another', async () => {
+  const { storage, cleanup } = tempStorage({ LOG: [] });
+  try {
+    await Promise.all(Array.from({ length: 10 }, (_, i) => storage.appendRow('LOG', [i])));
+    assert.deepStrictEqual((await storage.getValues('LOG')).map(row => row[0]), ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9']);
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAktivasi } = require('../lib/parseAktivasi');
+const { loadFixtures, runFixture, formatDiffs } = require('./fixtureRunner');
+
+// Setiap format pesan yang pernah masuk disimpan di test/fixtures/aktivasi
+for (const fixture of loadFixtures()) {
+  test(`parseAktivasi fixture ${fixture.name}`, () => {
+    const result = runFixture(fixture);
+    if (result.diffs.length > 0) {
+      assert.fail(`${fixture.description}\n${formatDiffs(result.diffs)}`);
+    }
+  });
+}
+
+test('parseAktivasi falls back to username when user row has no username', () => {
+  const parsed = parseAktivasi('AO : SC1234567\nOWNER : TSEL', null, 'tek_andi');
+  assert.strictEqual(parsed.teknisi, 'tek_andi');
+});
+
+test('parseAktivasi strips @ from the registered username', () => {
+  const parsed = parseAktivasi('AO : SC1234567\nOWNER : TSEL', ['1', '@Tek_Andi', 'USER', 'AKTIF'], 'other');
+  assert.strictEqual(parsed.teknisi, 'Tek_Andi');
+});
+
+test('parseAktivasi prefixes SC to a numeric SC ORDER NO', () => {
+  const parsed = parseAktivasi('BGES\nSC ORDER NO : 1001234567', null, 'tek_andi');
+  assert.strictEqual(parsed.ao, 'SC1001234567');
+  assert.strictEqual(parsed.workorder, 'SC1001234567');
+  assert.strictEqual(parsed.owner, 'BS');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createParserRegistry, DEFAULT_PARSERS } = require('../lib/parsers');
+const { parseAktivasiDetailed, detectOwner } = require('../lib/parseAktivasi');
+
+test('detectOwner only reads format markers, not free-text values', () => {
+  assert.strictEqual(detectOwner('CHANNEL: PDA\nAO : AOi1'), 'TSEL');
+  assert.strictEqual(detectOwner('CHANNEL : BS\nAO : SC1'), 'BS');
+  assert.strictEqual(detectOwner('WMS ORDER\nSC ORDER NO : 1'), 'WMS');
+  assert.strictEqual(detectOwner('CUSTOMER NAME : CV BGES MANDIRI\nADDRESS : JL WMS 1'), '');
+  assert.strictEqual(detectOwner('AO : SC1\nCUSTOMER NAME : AWMSYAH'), '');
+});
+
+test('the best scoring parser wins and is reported', () => {
+  const tsel = parseAktivasiDetailed('CHANNEL : DIGIPOS\nAO : AOi4250901234567', null, 'tek');
+  assert.strictEqual(tsel.parser.name, 'tsel');
+  assert.strictEqual(tsel.parsed.owner, 'TSEL');
+
+  // OWNER yang ditulis sendiri lebih dipercaya daripada penanda WMS di judul
+  const manual = parseAktivasiDetailed('WMS\nAO : SC1004567890\nOWNER : BS', null, 'tek');
+  assert.strictEqual(manual.parser.name, 'manual');
+  assert.strictEqual(manual.parsed.owner, 'BS');
+
+  // Ekspor SC ORDER NO tanpa penanda owner tetap dibaca parser BGES
+  const export_ = parseAktivasiDetailed('SC ORDER NO : 1004567890\nSERVICE NO : 161267890123', null, 'tek');
+  assert.strictEqual(export_.parser.name, 'bges');
+  assert.strictEqual(export_.parsed.ao, 'SC1004567890');
+});
+
+test('a new format is added by registering a parser', () => {
+  const registry = createParserRegistry([
+    ...DEFAULT_PARSERS,
+    {
+      name: 'indihome-csv',
+      label: 'IndiHome CSV',
+      detect: ({ text }) => (/^INDIHOME;/.test(text) ? 95 : 0),
+      fields: {
+        ao: ({ text }) => text.split(';')[1],
+        owner: () => 'TSEL',
+      },
+    },
+  ]);
+  const result = registry.parse('INDIHOME;SC1009999999;MDN');
+  assert.strictEqual(result.parser.name, 'indihome-csv');
+  assert.strictEqual(result.fields.ao, 'SC1009999999');
+  assert.strictEqual(result.fields.workzone, '');
+  assert.deepStrictEqual(result.candidates.map(c => c.parser.name), ['indihome-csv', 'manual']);
+
+  assert.throws(() => registry.register({ ...DEFAULT_PARSERS[0] }), /sudah terdaftar/);
+  assert.throws(() => registry.register({ name: 'x', detect: () => 1, fields: { foo: () => '' } }), /tidak dikenal: foo/);
+});
+
+test('trace records the rule used per field and flags heuristic guesses', () => {
+  const text = 'BGES PROGRESS\n01/09/2025 08:15 5481234 PT MAJU BERSAMA  ACTCOMP\nAO|  MDN INDIBIZ 30M SC1002345678\n' +
+    'SN ONT : HWTC11223344\n161245678901';
+  const result = parseAktivasiDetailed(text, null, 'tek');
+  assert.deepStrictEqual(result.trace.serviceNo, {
+    value: '161245678901', rule: 'angka 11-12 digit terakhir', source: 'heuristic', tried: ['SERVICE NO :'],
+  });
+  assert.strictEqual(result.trace.snOnt.source, 'label');
+  assert.deepStrictEqual(result.trace.stbId, { value: '', rule: null, source: null, tried: ['STB ID'] });
+  assert.deepStrictEqual(result.guessed, ['ao', 'workorder', 'serviceNo', 'customerName', 'owner', 'workzone']);
+
+  const labelled = parseAktivasiDetailed('CHANNEL : PDA\nAO : AOi1\nWORKORDER : WO1\nSN ONT : HWTC1', null, 'tek');
+  assert.deepStrictEqual(labelled.guessed, []);
+});
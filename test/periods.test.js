@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  resolveTimeZone, getTimeZoneLabel, getZonedToday, parseDateInput, getPeriodRange,
+  shiftPeriodReference, getPreviousPeriodRange, formatRangeLabel, formatDateKey, parseReportArgs,
+} = require('../lib/periods');
+
+const range = (r) => r && [formatDateKey(r.startDate), formatDateKey(r.endDate)];
+
+test('getZonedToday uses the report timezone instead of the server day', () => {
+  // 23:30 UTC on 31 August is already 1 September in Jakarta
+  const now = new Date('2025-08-31T23:30:00Z');
+  assert.strictEqual(formatDateKey(getZonedToday(now)), '2025-09-01');
+  assert.strictEqual(formatDateKey(getZonedToday(now, 'UTC')), '2025-08-31');
+  assert.strictEqual(formatDateKey(getZonedToday(new Date('2025-08-31T15:30:00Z'), 'Asia/Jayapura')), '2025-09-01');
+});
+
+test('getPeriodRange builds inclusive daily, Monday-Sunday and month ranges', () => {
+  const sunday = new Date(Date.UTC(2025, 8, 7));
+  assert.deepStrictEqual(range(getPeriodRange('daily', sunday)), ['2025-09-07', '2025-09-07']);
+  assert.deepStrictEqual(range(getPeriodRange('weekly', sunday)), ['2025-09-01', '2025-09-07']);
+  assert.deepStrictEqual(range(getPeriodRange('weekly', new Date(Date.UTC(2025, 9, 1)))), ['2025-09-29', '2025-10-05']);
+  assert.deepStrictEqual(range(getPeriodRange('monthly', new Date(Date.UTC(2024, 1, 10)))), ['2024-02-01', '2024-02-29']);
+  assert.strictEqual(getPeriodRange('yearly', sunday), null);
+});
+
+test('parseDateInput validates dates and takes the year from today', () => {
+  const today = new Date(Date.UTC(2025, 8, 1));
+  assert.strictEqual(formatDateKey(parseDateInput('05/09', today)), '2025-09-05');
+  assert.strictEqual(formatDateKey(parseDateInput('5-9-2024', today)), '2024-09-05');
+  assert.strictEqual(parseDateInput('31/02/2025', today), null);
+  assert.strictEqual(parseDateInput('kemarin', today), null);
+});
+
+test('resolveTimeZone defaults to Asia/Jakarta and rejects unknown zones', () => {
+  assert.strictEqual(resolveTimeZone(''), 'Asia/Jakarta');
+  assert.strictEqual(resolveTimeZone('Asia/Makassar'), 'Asia/Makassar');
+  assert.throws(() => resolveTimeZone('Mars/Olympus'), /REPORT_TIMEZONE/);
+  assert.strictEqual(getTimeZoneLabel('Asia/Makassar'), 'WITA');
+  assert.strictEqual(getTimeZoneLabel('UTC'), 'UTC');
+});
+
+test('previous periods are shifted by calendar and clipped while the period is running', () => {
+  const day = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+  assert.strictEqual(formatDateKey(shiftPeriodReference('monthly', day(2025, 3, 31), -1)), '2025-02-01');
+  assert.strictEqual(formatDateKey(shiftPeriodReference('weekly', day(2025, 9, 3), -2)), '2025-08-20');
+
+  // Rabu 3 September: Senin-Rabu minggu ini dibanding Senin-Rabu minggu lalu
+  const today = day(2025, 9, 3);
+  assert.deepStrictEqual(range(getPreviousPeriodRange('weekly', today, today)), ['2025-08-25', '2025-08-27']);
+  assert.deepStrictEqual(range(getPreviousPeriodRange('monthly', day(2025, 8, 10), today)), ['2025-07-01', '2025-07-31']);
+  assert.deepStrictEqual(range(getPreviousPeriodRange('monthly', day(2025, 3, 31), day(2025, 3, 31))), ['2025-02-01', '2025-02-28']);
+  assert.deepStrictEqual(range(getPreviousPeriodRange('daily', today, today)), ['2025-09-02', '2025-09-02']);
+});
+
+test('formatRangeLabel shortens single days and whole months', () => {
+  const day = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+  assert.strictEqual(formatRangeLabel({ startDate: day(2025, 9, 1), endDate: day(2025, 9, 1) }), '01/09/2025');
+  assert.strictEqual(formatRangeLabel({ startDate: day(2025, 9, 1), endDate: day(2025, 9, 30) }), '09/2025');
+  assert.strictEqual(formatRangeLabel({ startDate: day(2025, 9, 29), endDate: day(2025, 10, 5) }), '29/09-05/10/2025');
+  assert.strictEqual(formatRangeLabel({ startDate: day(2025, 12, 29), endDate: day(2026, 1, 4) }), '29/12/2025-04/01/2026');
+});
+
+test('parseReportArgs accepts the options before or after the date', () => {
+  const expected = { customDate: '01/09/2025', compare: true, charts: false };
+  assert.deepStrictEqual(parseReportArgs(['01/09/2025', 'banding']), expected);
+  assert.deepStrictEqual(parseReportArgs(['banding', '01/09/2025']), expected);
+  assert.deepStrictEqual(parseReportArgs(['GRAFIK', '09/2025', 'Banding']), { customDate: '09/2025', compare: true, charts: true });
+  assert.deepStrictEqual(parseReportArgs([]), { customDate: null, compare: false, charts: false });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getZonedParts, isScheduleDue, createReportScheduler } = require('../lib/scheduler');
+
+test('getZonedParts converts UTC to Asia/Jakarta', () => {
+  const parts = getZonedParts(new Date('2025-09-30T17:30:00Z'));
+  assert.strictEqual(parts.dateKey, '2025-10-01');
+  assert.strictEqual(parts.hour, 0);
+  assert.strictEqual(parts.minute, 30);
+});
+
+test('isScheduleDue fires weekly only on Sunday and monthly only on the last day', () => {
+  const sunday = getZonedParts(new Date('2025-09-28T14:00:00Z'));
+  const monday = getZonedParts(new Date('2025-09-29T14:00:00Z'));
+  const lastDay = getZonedParts(new Date('2025-09-30T14:00:00Z'));
+
+  assert.strictEqual(isScheduleDue({ report: 'weekly', time: '21:00' }, sunday), true);
+  assert.strictEqual(isScheduleDue({ report: 'weekly', time: '21:00' }, monday), false);
+  assert.strictEqual(isScheduleDue({ report: 'monthly', time: '21:00' }, monday), false);
+  assert.strictEqual(isScheduleDue({ report: 'monthly', time: '21:00' }, lastDay), true);
+  assert.strictEqual(isScheduleDue({ report: 'daily', time: '21:01' }, lastDay), false);
+});
+
+test('scheduler runs a due schedule once per day', async () => {
+  const runs = [];
+  const scheduler = createReportScheduler({
+    loadSchedules: async () => [{ id: 'a1', report: 'daily', time: '21:00' }],
+    runSchedule: async (schedule) => runs.push(schedule.id),
+  });
+
+  await scheduler.tick(new Date('2025-09-29T14:00:10Z'));
+  await scheduler.tick(new Date('2025-09-29T14:00:40Z'));
+  await scheduler.tick(new Date('2025-09-30T14:00:10Z'));
+  assert.deepStrictEqual(runs, ['a1', 'a1']);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMonthKey, formatMonthKey, computeTargetProgress, formatTargetProgress, elapsedDaysInMonth } = require('../lib/targets');
+
+test('parseMonthKey accepts MM/YYYY and rejects invalid months', () => {
+  assert.deepStrictEqual(parseMonthKey('9/2025'), { month: 9, year: 2025 });
+  assert.deepStrictEqual(parseMonthKey('09-2025'), { month: 9, year: 2025 });
+  assert.strictEqual(parseMonthKey('13/2025'), null);
+  assert.strictEqual(formatMonthKey({ month: 9, year: 2025 }), '09/2025');
+});
+
+test('computeTargetProgress counts today in the remaining days of the current month', () => {
+  const progress = computeTargetProgress(30, 60, { month: 9, year: 2025 }, { year: 2025, month: 9, day: 21 });
+  assert.strictEqual(progress.percent, 50);
+  assert.strictEqual(progress.remaining, 30);
+  assert.strictEqual(progress.daysLeft, 10);
+  assert.strictEqual(progress.dailyNeeded, 3);
+  assert.strictEqual(formatTargetProgress(progress), '30/60 (50.0%) | sisa 30 | perlu 3.0/hari');
+});
+
+test('computeTargetProgress has no run-rate for a past month', () => {
+  const progress = computeTargetProgress(10, 60, { month: 8, year: 2025 }, { year: 2025, month: 9, day: 21 });
+  assert.strictEqual(progress.dailyNeeded, null);
+  assert.strictEqual(formatTargetProgress(progress), '10/60 (16.7%) | sisa 50');
+});
+
+test('elapsedDaysInMonth uses the real month length instead of 30', () => {
+  const today = { year: 2025, month: 9, day: 21 };
+  assert.strictEqual(elapsedDaysInMonth({ month: 9, year: 2025 }, today), 21);
+  assert.strictEqual(elapsedDaysInMonth({ month: 2, year: 2025 }, today), 28);
+  assert.strictEqual(elapsedDaysInMonth({ month: 8, year: 2025 }, today), 31);
+});
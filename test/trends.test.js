@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { countRows, formatDelta, compareCounts, formatComparisonSection, sparkline, formatTrendTable } = require('../lib/trends');
+
+const row = (teknisi, workzone, owner) => ['2025-09-01', 'SC1', '', '', '', owner, workzone, '', '', '', '', teknisi];
+
+test('formatDelta shows direction, change and percentage', () => {
+  assert.strictEqual(formatDelta(12, 9), '▲ +3 (+33%)');
+  assert.strictEqual(formatDelta(3, 5), '▼ -2 (-40%)');
+  assert.strictEqual(formatDelta(4, 4), '▬ 0');
+  assert.strictEqual(formatDelta(2, 0), '▲ +2 (baru)');
+});
+
+test('comparison covers total, teknisi, workzone and owner including names that dropped out', () => {
+  const current = countRows([row('tek_a', 'MDN', 'TSEL'), row('tek_a', 'MDN', 'BS'), row('', 'BLW', 'BS')]);
+  const previous = countRows([row('tek_b', 'MDN', 'TSEL')]);
+  assert.deepStrictEqual(current.teknisi, { TEK_A: 2, '-': 1 });
+  assert.deepStrictEqual(compareCounts(current.workzone, previous.workzone), [
+    { name: 'MDN', current: 2, previous: 1 },
+    { name: 'BLW', current: 1, previous: 0 },
+  ]);
+
+  const section = formatComparisonSection(current, previous, { label: 'kemarin' });
+  assert.match(section, /PERBANDINGAN vs kemarin/);
+  assert.match(section, /Total: 3 SSL \(lalu 1\) ▲ \+2 \(\+200%\)/);
+  assert.match(section, /- TEK_B: 0 \(lalu 1\) ▼ -1 \(-100%\)/);
+  assert.match(section, /- BS: 2 \(lalu 0\) ▲ \+2 \(baru\)/);
+  const limited = formatComparisonSection(current, countRows([row('x', 'A', 'O'), row('y', 'B', 'O')]), { label: 'x', limit: 2 });
+  assert.match(limited, /\.\.\. dan 2 lainnya/);
+});
+
+test('sparkline and trend table', () => {
+  assert.strictEqual(sparkline([0, 4, 8]), '▁▅█');
+  assert.strictEqual(sparkline([0, 0]), '▁▁');
+  assert.strictEqual(formatTrendTable([
+    { label: '08/2025', count: 10, ongoing: false },
+    { label: '09/2025', count: 4, ongoing: true },
+  ]), 'PERIODE   SSL  PERUBAHAN\n08/2025    10  -\n09/2025*    4  ▼ -6 (-60%)\n');
+});
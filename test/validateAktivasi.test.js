@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_RULES,
+  mergeRules,
+  loadValidationRules,
+  validateAktivasi,
+  formatValidationErrors,
+  describeValidationRules,
+} = require('../lib/validateAktivasi');
+
+const VALID = {
+  ao: 'SC1234567',
+  workorder: 'WO-1',
+  serviceNo: '161201234567',
+  customerName: 'BUDI',
+  owner: 'TSEL',
+  workzone: 'MDN',
+  snOnt: 'ZTEG12345678',
+  nikOnt: '12345',
+  stbId: '',
+  nikStb: '',
+};
+
+const failedFields = result => result.errors.map(e => e.field);
+
+test('validateAktivasi accepts a complete activation', () => {
+  assert.deepStrictEqual(validateAktivasi(VALID), { valid: true, errors: [] });
+});
+
+test('validateAktivasi reports every failed field in one result and one message', () => {
+  const result = validateAktivasi({ ...VALID, customerName: '', serviceNo: '12345', snOnt: 'ABCD1234', nikOnt: 'N-1' });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(failedFields(result), ['serviceNo', 'customerName', 'snOnt', 'nikOnt']);
+  assert.strictEqual(formatValidationErrors(result.errors),
+    '❌ Data tidak valid. Periksa field berikut:\n' +
+    '- SERVICE NO: harus 11-12 digit angka\n' +
+    '- CUSTOMER NAME: wajib diisi\n' +
+    '- SN ONT: harus diawali ZTEG/HWTC/HUAW/FHTT/FIBR\n' +
+    '- NIK ONT: harus berupa angka\n');
+});
+
+test('validateAktivasi checks SERVICE NO length and numeric NIKs', () => {
+  assert.ok(validateAktivasi({ ...VALID, serviceNo: '16120123456' }).valid);
+  assert.deepStrictEqual(failedFields(validateAktivasi({ ...VALID, serviceNo: '1612012345' })), ['serviceNo']);
+  assert.deepStrictEqual(failedFields(validateAktivasi({ ...VALID, serviceNo: '1612012345678' })), ['serviceNo']);
+  assert.deepStrictEqual(failedFields(validateAktivasi({ ...VALID, serviceNo: '16120123456A' })), ['serviceNo']);
+
+  // NIK STB opsional, tapi jika diisi harus angka
+  assert.ok(validateAktivasi({ ...VALID, nikStb: '987' }).valid);
+  assert.deepStrictEqual(failedFields(validateAktivasi({ ...VALID, nikStb: '98a' })), ['nikStb']);
+});
+
+test('validateAktivasi accepts the known SN ONT vendor prefixes only', () => {
+  ['ZTEG', 'HWTC', 'HUAW', 'FHTT', 'FIBR', 'zteg'].forEach(prefix => {
+    assert.ok(validateAktivasi({ ...VALID, snOnt: `${prefix}1A2B3C4D` }).valid, prefix);
+  });
+  ['ALCL1A2B3C4D', 'ZTE12345678', 'ZTEG'].forEach(sn => {
+    assert.deepStrictEqual(failedFields(validateAktivasi({ ...VALID, snOnt: sn })), ['snOnt'], sn);
+  });
+});
+
+test('validateAktivasi applies per-owner formats and required fields', () => {
+  // AO BS/WMS harus SC + minimal 6 digit, owner lain bebas
+  assert.deepStrictEqual(failedFields(validateAktivasi({ ...VALID, owner: 'BS', ao: 'AO123' })), ['ao']);
+  assert.deepStrictEqual(failedFields(validateAktivasi({ ...VALID, owner: 'WMS', ao: 'SC12345' })), ['ao']);
+  assert.ok(validateAktivasi({ ...VALID, owner: 'wms', ao: 'SC123456' }).valid);
+  assert.ok(validateAktivasi({ ...VALID, owner: 'TSEL', ao: 'AO123' }).valid);
+  // Owner tidak terdaftar memakai aturan MANUAL
+  assert.ok(validateAktivasi({ ...VALID, owner: 'LAIN', ao: 'AO123' }).valid);
+
+  const rules = mergeRules(DEFAULT_RULES, { owners: { BS: { required: ['ao', 'workorder'] } } });
+  assert.deepStrictEqual(failedFields(validateAktivasi({ ...VALID, owner: 'BS', workorder: '' }, rules)), ['workorder']);
+  assert.ok(validateAktivasi({ ...VALID, owner: 'BS', customerName: '', snOnt: '', nikOnt: '' }, rules).valid);
+  assert.deepStrictEqual(failedFields(validateAktivasi({ ...VALID, owner: 'TSEL', workorder: '', customerName: '' }, rules)), ['customerName']);
+});
+
+test('loadValidationRules restricts WORKZONE to KNOWN_WORKZONES', () => {
+  assert.ok(validateAktivasi({ ...VALID, workzone: 'ANY' }, loadValidationRules({})).valid);
+
+  const rules = loadValidationRules({ KNOWN_WORKZONES: 'mdn, blw ,' });
+  assert.deepStrictEqual(rules.common.formats.workzone.values, ['MDN', 'BLW']);
+  assert.ok(validateAktivasi({ ...VALID, workzone: 'blw' }, rules).valid);
+  const result = validateAktivasi({ ...VALID, workzone: 'XYZ' }, rules);
+  assert.deepStrictEqual(result.errors, [{ field: 'workzone', label: 'WORKZONE', message: 'bukan kode workzone yang dikenal' }]);
+});
+
+test('describeValidationRules follows the rules that are actually enforced', () => {
+  const lines = describeValidationRules(DEFAULT_RULES);
+  assert.strictEqual(lines[0], 'Field wajib: AO, SERVICE NO, CUSTOMER NAME, OWNER, WORKZONE, SN ONT, NIK ONT');
+  assert.ok(lines.includes('AO (BS, WMS): harus berformat SC diikuti minimal 6 digit'));
+
+  const custom = mergeRules(DEFAULT_RULES, {
+    common: { required: ['ao', 'owner'], formats: { workzone: { values: ['MDN', 'BLW'] } } },
+    owners: { TSEL: { required: ['ao', 'serviceNo'] } },
+  });
+  const customLines = describeValidationRules(custom);
+  assert.strictEqual(customLines[0], 'Field wajib: AO, OWNER');
+  assert.ok(customLines.includes('WORKZONE: salah satu dari MDN, BLW'));
+  assert.ok(customLines.includes('Field wajib (TSEL): AO, SERVICE NO'));
+});
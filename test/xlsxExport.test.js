@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { buildActivationWorkbook } = require('../lib/xlsxExport');
+
+const ROWS = [
+  ['Senin, 1 September 2025', 'SC1001', '', '161200000001', 'BUDI', 'TSEL', 'MDN', 'ZTEG1', '1', '', '', 'tek_a'],
+  ['Senin, 1 September 2025', 'SC1002', '', '161200000002', 'SITI', 'BS', 'MDN', 'HWTC1', '1', '', '', 'tek_b'],
+  ['tanggal rusak', 'SC1003', '', '161200000003', 'RINA', 'TSEL', 'BLW', 'FHTT1', '1', '', '', 'tek_a'],
+];
+
+test('buildActivationWorkbook writes raw data with real dates and summary tabs', async () => {
+  const buffer = await buildActivationWorkbook(ROWS, {
+    parseDate: (value) => (value.startsWith('Senin') ? new Date(Date.UTC(2025, 8, 1)) : null),
+  });
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  assert.deepStrictEqual(workbook.worksheets.map(s => s.name), ['DATA', 'PER TEKNISI', 'PER WORKZONE', 'PER OWNER']);
+
+  const raw = workbook.getWorksheet('DATA');
+  assert.strictEqual(raw.rowCount, 4);
+  assert.ok(raw.getCell('A2').value instanceof Date);
+  assert.strictEqual(raw.getCell('A4').value, 'tanggal rusak');
+
+  const teknisi = workbook.getWorksheet('PER TEKNISI');
+  assert.deepStrictEqual(teknisi.getRow(2).values.slice(1, 4), [1, 'TEK_A', 2]);
+  assert.deepStrictEqual(teknisi.getRow(4).values.slice(2, 4), ['TOTAL', 3]);
+});